@@ -0,0 +1,159 @@
+/**
+ * Hangul Explorer - Accessibility
+ * Keyboard navigation for the letter grids, collapsibles and flashcards, plus screen-reader announcements
+ */
+
+// ============================================
+// Labels & Announcements
+// ============================================
+
+// 'ㄱ, giyeok, romanized g/k' - role adds the builder slot, e.g. 'ㄴ, nieun, final consonant, sounds n'
+function getJamoLabel(char, role) {
+    const data = hangulData.consonants.find(c => c.char === char) || hangulData.vowels.find(v => v.char === char);
+    const parts = [char];
+    if (data && data.name) parts.push(data.name);
+    if (role) parts.push(t('a11y.role.' + role));
+
+    const final = role === 'final' && hangulData.finalConsonants.find(f => f.char === char);
+    if (final) parts.push(t('a11y.sounds', { sound: final.sound }));
+    else if (data) parts.push(t('a11y.romanized', { romanization: romanizeJamo(char) }));
+    if (!role && data && isLetterLearned(char)) parts.push(t('a11y.learned'));
+    return parts.join(', ');
+}
+
+// Polite announcements for changes that happen away from the focused element
+function announce(message) {
+    const region = document.getElementById('sr-announcer');
+    if (!region) return;
+    // Clearing first makes screen readers repeat a message identical to the last one
+    region.textContent = '';
+    setTimeout(() => { region.textContent = message; }, 50);
+}
+
+// Selected letters are toggle buttons: mirror the selection into aria-pressed
+function syncPressedStates() {
+    const selected = { consonant: selectedConsonant, vowel: selectedVowel, initial: selectedConsonant, medial: selectedVowel, final: selectedFinal };
+    document.querySelectorAll('.char-cell[data-type], .mini-cell[data-role]').forEach(cell => {
+        const key = cell.dataset.role || cell.dataset.type;
+        cell.setAttribute('aria-pressed', String(selected[key] === cell.dataset.char));
+    });
+}
+
+// ============================================
+// Collapsibles
+// ============================================
+
+function initCollapsibles(container) {
+    container.querySelectorAll('.collapse-toggle').forEach(btn => {
+        btn.setAttribute('aria-expanded', String(btn.nextElementSibling.style.display !== 'none'));
+        btn.addEventListener('click', () => toggleCollapse(btn));
+    });
+}
+
+// ============================================
+// Roving Tabindex Grids
+// ============================================
+
+// Each grid is one Tab stop; arrow keys, Home and End move between its letters
+function initRovingGrids(container) {
+    container.querySelectorAll('.char-grid, .builder-mini-grid, .quiz-choices').forEach(grid => {
+        const cells = [...grid.querySelectorAll('.char-cell, .mini-cell')];
+        cells.forEach((cell, i) => cell.setAttribute('tabindex', i === 0 ? '0' : '-1'));
+        grid.addEventListener('keydown', e => moveGridFocus(e, cells));
+        grid.addEventListener('focusin', e => {
+            if (!cells.includes(e.target)) return;
+            cells.forEach(cell => cell.setAttribute('tabindex', cell === e.target ? '0' : '-1'));
+        });
+    });
+}
+
+// Columns follow the responsive layout: count the cells on the first row
+function getGridColumns(cells) {
+    const top = cells[0].offsetTop;
+    const columns = cells.findIndex(cell => cell.offsetTop !== top);
+    return columns === -1 ? cells.length : columns;
+}
+
+function moveGridFocus(e, cells) {
+    const idx = cells.indexOf(e.target);
+    if (idx === -1) return;
+
+    const columns = getGridColumns(cells);
+    const targets = {
+        ArrowRight: idx + 1,
+        ArrowLeft: idx - 1,
+        ArrowDown: idx + columns,
+        ArrowUp: idx - columns,
+        Home: 0,
+        End: cells.length - 1
+    };
+    if (!(e.key in targets)) return;
+    e.preventDefault();
+    const next = cells[Math.max(0, Math.min(cells.length - 1, targets[e.key]))];
+    next.focus();
+}
+
+// ============================================
+// Keyboard Activation
+// ============================================
+
+function isModalOpen() {
+    return strokeChar !== null || recorderItem !== null || isDeckEditorOpen();
+}
+
+document.addEventListener('keydown', e => {
+    const target = e.target;
+    if (!target.closest || e.ctrlKey || e.metaKey || e.altKey) return;
+
+    // Clickable divs behave like buttons: Enter and Space activate them
+    if (target.getAttribute('role') === 'button' && (e.key === 'Enter' || e.key === ' ')) {
+        e.preventDefault();
+        target.click();
+        return;
+    }
+
+    // A focused letter opens its stroke order (W), the recorder (R) or words using it (F), which mouse users reach on hover
+    if (target.classList.contains('char-cell')) {
+        const shortcut = { w: '.stroke-btn', r: '.record-btn', f: '.words-btn' }[e.key.toLowerCase()];
+        const btn = shortcut && target.querySelector(shortcut);
+        if (btn) {
+            e.preventDefault();
+            btn.click();
+        }
+        return;
+    }
+
+    handleFlashcardKey(e);
+});
+
+// Left/Right change card, P plays the word and 1-4 grade a flipped card, wherever focus is in the words section
+function handleFlashcardKey(e) {
+    if (currentSection !== 'words' || wordViewMode !== 'flashcard' || isModalOpen()) return;
+    if (e.target.closest('input, textarea, select')) return;
+
+    const grades = Object.keys(REVIEW_GRADES);
+    const gradeIdx = Number(e.key) - 1;
+    const cardFocused = !!e.target.closest('.word-flashcard-area');
+
+    if (e.key === 'ArrowRight') {
+        nextWordCard();
+    } else if (e.key === 'ArrowLeft') {
+        prevWordCard();
+    } else if (e.key.toLowerCase() === 'p') {
+        const word = getCurrentWords()[wordCardIdx];
+        if (word) playWord(word.korean);
+        return;
+    } else if (wordFlipped && gradeIdx >= 0 && gradeIdx < grades.length) {
+        gradeWordCard(grades[gradeIdx]);
+    } else {
+        return;
+    }
+    e.preventDefault();
+    // The card was re-rendered, so put focus back on the new one
+    if (cardFocused) focusFlashcard();
+}
+
+function focusFlashcard() {
+    const card = document.getElementById('word-flashcard');
+    if (card) card.focus();
+}
@@ -0,0 +1,113 @@
+/**
+ * Hangul Explorer - Audio Resolver
+ * Looks clips up in the generated audio manifest, preloads likely-next clips and reports coverage gaps
+ */
+
+// ============================================
+// State
+// ============================================
+
+const AUDIO_MANIFEST_URL = 'data/audio-manifest.json'; // Built by scripts/build_audio_manifest.py
+const AUDIO_GROUPS = { jamo: 'jamo', syllable: 'syllables', word: 'words' };
+const PRELOAD_LIMIT = 8;
+
+// { voices, jamo: { 'ㄱ': [source, ...] }, syllables: {...}, words: {...} }, sources best first
+let audioManifest = null;
+const preloadedAudio = new Map(); // src -> Audio element, oldest first
+const formatSupport = {};         // MIME type -> can this browser play it
+
+// Never throws: without a manifest every clip falls back to speech synthesis
+async function loadAudioManifest() {
+    try {
+        const response = await fetch(AUDIO_MANIFEST_URL);
+        if (!response.ok) throw new Error(`Server answered ${response.status}`);
+        audioManifest = await response.json();
+    } catch (err) {
+        console.error('Failed to load audio manifest, using speech synthesis only:', err);
+        audioManifest = null;
+    }
+}
+
+// ============================================
+// Resolving
+// ============================================
+
+function canPlayFormat(type) {
+    if (!(type in formatSupport)) {
+        formatSupport[type] = document.createElement('audio').canPlayType(type) !== '';
+    }
+    return formatSupport[type];
+}
+
+function getAudioSources(kind, text) {
+    const group = audioManifest && audioManifest[AUDIO_GROUPS[kind]];
+    return (group && group[text]) || [];
+}
+
+// kind: 'jamo', 'syllable' or 'word'. Returns the best playable source or null - no network involved
+function resolveAudio(kind, text) {
+    return getAudioSources(kind, text).find(source => canPlayFormat(source.type)) || null;
+}
+
+// Start downloading a clip that is likely to be played next (e.g. the next flashcard)
+function preloadAudio(kind, text) {
+    const source = resolveAudio(kind, text);
+    if (!source || preloadedAudio.has(source.src)) return;
+
+    const audio = new Audio(source.src);
+    audio.preload = 'auto';
+    preloadedAudio.set(source.src, audio);
+    if (preloadedAudio.size > PRELOAD_LIMIT) {
+        preloadedAudio.delete(preloadedAudio.keys().next().value);
+    }
+}
+
+// A preloaded element is handed out once; later plays of the same clip come from the HTTP cache
+function takeAudio(src) {
+    const audio = preloadedAudio.get(src);
+    if (!audio) return new Audio(src);
+    preloadedAudio.delete(src);
+    return audio;
+}
+
+// ============================================
+// Coverage
+// ============================================
+
+// What the app can ask for versus what the manifest has: { jamo: { total, missing: [...] }, ... }
+function getAudioCoverage() {
+    const wanted = {
+        jamo: [...hangulData.consonants, ...hangulData.vowels].map(c => c.char),
+        syllable: INITIAL_JAMO.flatMap(initial => MEDIAL_JAMO.map(medial => composeSyllable(initial, medial))),
+        word: [...new Set(Object.values(hangulData.words).flat().map(w => w.korean))]
+    };
+
+    const coverage = {};
+    Object.entries(wanted).forEach(([kind, items]) => {
+        const missing = items.filter(text => getAudioSources(kind, text).length === 0);
+        coverage[kind] = { total: items.length, missing };
+    });
+    // Jamo should have a real recording, not only TTS
+    coverage.jamo.unrecorded = wanted.jamo.filter(text => {
+        const sources = getAudioSources('jamo', text);
+        return sources.length > 0 && !sources.some(source => source.voice === 'recorded');
+    });
+    return coverage;
+}
+
+// Coverage gaps in the same shape as the data validator's issues (shown in ?dev mode)
+function getAudioCoverageIssues() {
+    if (!audioManifest) {
+        return [{ level: 'error', path: AUDIO_MANIFEST_URL, message: 'Audio manifest could not be loaded' }];
+    }
+
+    const coverage = getAudioCoverage();
+    const issues = [];
+    Object.entries(coverage).forEach(([kind, { missing }]) => {
+        missing.forEach(text => issues.push({ level: 'warning', path: `audio ${kind} ${text}`, message: 'No audio clip (speech synthesis is used)' }));
+    });
+    coverage.jamo.unrecorded.forEach(text => {
+        issues.push({ level: 'warning', path: `audio jamo ${text}`, message: 'No native recording, only TTS' });
+    });
+    return issues;
+}
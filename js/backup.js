@@ -0,0 +1,238 @@
+/**
+ * Hangul Explorer - Progress Backup
+ * Exports every persisted setting to a versioned JSON file and imports it back (merge or replace)
+ */
+
+// ============================================
+// Persisted Keys
+// ============================================
+
+const BACKUP_FORMAT = 'hangul-explorer-progress';
+const BACKUP_VERSION = 1;
+
+let pendingBackup = null; // Validated file waiting for the learner to pick merge or replace
+
+// Every localStorage key the app owns. New persisted data should be added here with a
+// validator (and a merge rule if it is per-item data); unlisted "hangul-*" keys are still
+// carried along as raw strings so nothing is lost between versions.
+const BACKUP_KEYS = {
+    'hangul-hasVisited': { type: 'string' },
+    // 'kr-en' / 'en-kr' come from files saved before flashcards followed the interface language
+    'flashcardDirection': { type: 'string', validate: v => ['ko-learner', 'learner-ko', 'kr-en', 'en-kr'].includes(v) },
+    'hangul-reviews': { type: 'json', validate: isValidReviewData, merge: mergeReviewData },
+    'hangul-progress': { type: 'json', validate: isValidProgressData, merge: mergeProgressData },
+    'hangul-custom-decks': { type: 'json', validate: isValidCustomDecks, merge: mergeCustomDecks },
+    'hangul-romanization': { type: 'json', validate: isValidRomanizationSettings },
+    'hangul-learned': { type: 'json', validate: isValidLearnedLetters, merge: mergeLearnedLetters }
+};
+
+function getOwnedStorageKeys() {
+    const keys = new Set(Object.keys(BACKUP_KEYS));
+    for (let i = 0; i < localStorage.length; i++) {
+        const key = localStorage.key(i);
+        if (key.startsWith('hangul-')) keys.add(key);
+    }
+    return [...keys];
+}
+
+// ============================================
+// Validation
+// ============================================
+
+const DAY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const isCount = n => Number.isInteger(n) && n >= 0;
+const isPlainObject = v => v !== null && typeof v === 'object' && !Array.isArray(v);
+
+function isValidReviewData(data) {
+    return isPlainObject(data) && Object.values(data).every(e =>
+        isPlainObject(e) && typeof e.ease === 'number' && isCount(e.interval) &&
+        isCount(e.reps) && isCount(e.lapses) && DAY_PATTERN.test(e.due));
+}
+
+function isValidProgressData(data) {
+    return isPlainObject(data) && isPlainObject(data.items) && Array.isArray(data.days) &&
+        data.days.every(d => DAY_PATTERN.test(d)) &&
+        Object.values(data.items).every(item =>
+            isPlainObject(item) && isCount(item.plays) && isCount(item.attempts) &&
+            isCount(item.correct) && item.correct <= item.attempts);
+}
+
+// Returns a list of problems; an empty list means the file can be imported
+function validateBackup(backup) {
+    if (!isPlainObject(backup) || backup.format !== BACKUP_FORMAT) {
+        return [t('backup.notBackup')];
+    }
+    if (!Number.isInteger(backup.version)) return [t('backup.badVersion')];
+    if (backup.version > BACKUP_VERSION) {
+        return [t('backup.newerVersion', { version: escapeHtml(String(backup.version)) })];
+    }
+    if (!isPlainObject(backup.data)) return [t('backup.noData')];
+
+    const errors = [];
+    Object.entries(backup.data).forEach(([key, value]) => {
+        const spec = BACKUP_KEYS[key];
+        if (!spec) {
+            if (!key.startsWith('hangul-') || typeof value !== 'string') errors.push(t('backup.unknownEntry', { key: escapeHtml(key) }));
+            return;
+        }
+        const typeOk = spec.type === 'string' ? typeof value === 'string' : value !== null && typeof value === 'object';
+        if (!typeOk || (spec.validate && !spec.validate(value))) errors.push(t('backup.damagedEntry', { key: escapeHtml(key) }));
+    });
+    return errors;
+}
+
+// ============================================
+// Merging
+// ============================================
+
+// Per word, keep whichever schedule was reviewed most recently
+function mergeReviewData(local, incoming) {
+    const merged = { ...local };
+    Object.entries(incoming).forEach(([key, entry]) => {
+        const mine = merged[key];
+        if (!mine || (entry.lastReviewed || '') > (mine.lastReviewed || '') ||
+            (entry.lastReviewed === mine.lastReviewed && entry.reps > mine.reps)) {
+            merged[key] = entry;
+        }
+    });
+    return merged;
+}
+
+// Per item, keep the record with more practice (so merging the same file twice changes nothing)
+function mergeProgressData(local, incoming) {
+    const items = { ...local.items };
+    Object.entries(incoming.items).forEach(([key, item]) => {
+        const mine = items[key];
+        const weight = r => r.plays + r.attempts;
+        if (!mine || weight(item) > weight(mine) ||
+            (weight(item) === weight(mine) && (item.lastPracticed || '') > (mine.lastPracticed || ''))) {
+            items[key] = item;
+        }
+    });
+    const days = [...new Set([...local.days, ...incoming.days])].sort();
+    return { ...local, items, days };
+}
+
+// ============================================
+// Export / Import
+// ============================================
+
+function buildBackup() {
+    const data = {};
+    getOwnedStorageKeys().forEach(key => {
+        const raw = localStorage.getItem(key);
+        if (raw === null) return;
+        const spec = BACKUP_KEYS[key];
+        if (spec && spec.type === 'json') {
+            try {
+                data[key] = JSON.parse(raw);
+            } catch (err) {
+                console.error(`Skipping unreadable "${key}" in export:`, err);
+            }
+        } else {
+            data[key] = raw;
+        }
+    });
+    return { format: BACKUP_FORMAT, version: BACKUP_VERSION, exportedAt: new Date().toISOString(), data };
+}
+
+function exportProgress() {
+    downloadFile(`hangul-progress-${getToday()}.json`, JSON.stringify(buildBackup(), null, 2), 'application/json');
+}
+
+function downloadFile(filename, content, type) {
+    const blob = new Blob([content], { type });
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(link.href), 0);
+}
+
+// mode: 'replace' wipes local data first; 'merge' combines per item and keeps local settings
+function applyBackup(backup, mode) {
+    if (mode === 'replace') {
+        getOwnedStorageKeys().forEach(key => localStorage.removeItem(key));
+    }
+
+    Object.entries(backup.data).forEach(([key, value]) => {
+        const spec = BACKUP_KEYS[key];
+        const isJson = spec && spec.type === 'json';
+        const current = localStorage.getItem(key);
+
+        if (mode === 'merge' && current !== null) {
+            if (!spec || !spec.merge) return; // Settings: the local choice wins
+            try {
+                value = spec.merge(JSON.parse(current), value);
+            } catch (err) {
+                console.error(`Local "${key}" is unreadable, using the imported copy:`, err);
+            }
+        }
+        localStorage.setItem(key, isJson ? JSON.stringify(value) : value);
+    });
+}
+
+function chooseProgressFile() {
+    const input = document.getElementById('backup-file-input');
+    if (input) input.click();
+}
+
+async function handleProgressFile(input) {
+    const file = input.files[0];
+    input.value = ''; // Allow picking the same file again
+    if (!file) return;
+
+    let backup;
+    try {
+        backup = JSON.parse(await file.text());
+    } catch (err) {
+        showBackupMessage('error', t('backup.notJson'));
+        return;
+    }
+
+    const errors = validateBackup(backup);
+    if (errors.length > 0) {
+        showBackupMessage('error', errors.join(' '));
+        return;
+    }
+
+    pendingBackup = backup;
+    const reviews = backup.data['hangul-reviews'] ? Object.keys(backup.data['hangul-reviews']).length : 0;
+    const items = backup.data['hangul-progress'] ? Object.keys(backup.data['hangul-progress'].items).length : 0;
+    const exported = backup.exportedAt ? new Date(backup.exportedAt).toLocaleString(currentLocale) : t('backup.unknownDate');
+    showBackupMessage('confirm', `
+        ${t('backup.summary', { date: escapeHtml(exported), items, reviews })}
+        <div class="backup-actions">
+            <button class="builder-btn primary" onclick="confirmImport('merge')">${t('backup.merge')}</button>
+            <button class="builder-btn danger" onclick="confirmImport('replace')">${t('backup.replace')}</button>
+            <button class="builder-btn secondary" onclick="showBackupMessage('', '')">${t('backup.cancel')}</button>
+        </div>`);
+}
+
+function confirmImport(mode) {
+    if (!pendingBackup) return;
+    applyBackup(pendingBackup, mode);
+    pendingBackup = null;
+    showBackupMessage('success', t('backup.imported'));
+    // Every module reads its saved state on load, so a reload picks up the imported data
+    setTimeout(() => window.location.reload(), 600);
+}
+
+function showBackupMessage(kind, html) {
+    const el = document.getElementById('backup-message');
+    if (!el) return;
+    el.className = 'backup-message ' + kind;
+    el.innerHTML = html;
+}
+
+function renderBackupControls() {
+    return `
+        <div class="backup-controls">
+            <button class="wf-action-btn" onclick="exportProgress()">${t('backup.export')}</button>
+            <button class="wf-action-btn" onclick="chooseProgressFile()">${t('backup.import')}</button>
+            <input type="file" id="backup-file-input" accept="application/json,.json" hidden onchange="handleProgressFile(this)">
+        </div>
+        <div class="backup-message" id="backup-message"></div>`;
+}
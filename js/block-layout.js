@@ -0,0 +1,89 @@
+/**
+ * Hangul Explorer - Block Layout
+ * Works out where each jamo sits inside a syllable block (initial, every vowel stroke group, 받침)
+ * and draws it as positioned boxes, matched to its square in the 6-square position guide
+ */
+
+// ============================================
+// Geometry
+// ============================================
+
+// Slots as [left, top, width, height] in percent of the block, keyed by the vowel's `position`.
+// Open blocks have no 받침; closed ones give the bottom band to it and squeeze the rest up.
+const BLOCK_LAYOUTS = {
+    right: {
+        label: 'builder.vertical',
+        open: { initial: [0, 0, 55, 100], vertical: [55, 0, 45, 100] },
+        closed: { initial: [0, 0, 55, 62], vertical: [55, 0, 45, 62], final: [0, 62, 100, 38] }
+    },
+    bottom: {
+        label: 'builder.horizontal',
+        open: { initial: [0, 0, 100, 55], horizontal: [0, 55, 100, 45] },
+        closed: { initial: [0, 0, 100, 36], horizontal: [0, 36, 100, 26], final: [0, 62, 100, 38] }
+    },
+    // ㅘ ㅙ ㅚ ㅝ ㅞ ㅟ ㅢ: the ㅗ/ㅜ/ㅡ part goes under the initial, the rest stands to the right of both
+    'bottom-right': {
+        label: 'builder.combined',
+        open: { initial: [0, 0, 62, 55], horizontal: [0, 55, 62, 45], vertical: [62, 0, 38, 100] },
+        closed: { initial: [0, 0, 62, 36], horizontal: [0, 36, 62, 26], vertical: [62, 0, 38, 62], final: [0, 62, 100, 38] }
+    }
+};
+
+function getVowelPosition(vowel) {
+    const vowelData = hangulData.vowels.find(v => v.char === vowel);
+    return vowelData && vowelData.position in BLOCK_LAYOUTS ? vowelData.position : null;
+}
+
+// Side by side within one slot (ㅐ = ㅏ and ㅣ in the right-hand column)
+function splitSlot([left, top, width, height], count) {
+    return Array.from({ length: count }, (_, i) => [left + width * i / count, top, width / count, height]);
+}
+
+// [{ role: 'initial' | 'medial' | 'final', char, rect }] for the block, or null for an unknown vowel
+function getBlockLayout(initial, vowel, final) {
+    const position = getVowelPosition(vowel);
+    if (!position) return null;
+
+    const slots = BLOCK_LAYOUTS[position][final ? 'closed' : 'open'];
+    const parts = hangulData.vowels.find(v => v.char === vowel).components || [vowel];
+    const boxes = [{ role: 'initial', char: initial, rect: slots.initial }];
+
+    if (position === 'bottom-right') {
+        boxes.push({ role: 'medial', char: parts[0], rect: slots.horizontal });
+        boxes.push({ role: 'medial', char: parts[1], rect: slots.vertical });
+    } else {
+        const rects = splitSlot(slots.vertical || slots.horizontal, parts.length);
+        parts.forEach((char, i) => boxes.push({ role: 'medial', char, rect: rects[i] }));
+    }
+
+    if (final) boxes.push({ role: 'final', char: final, rect: slots.final });
+    return boxes;
+}
+
+// The 6-square guide cell with the same vowel position and 받침 (e.g. 왕 -> B3)
+function getSixSquareCell(vowel, final) {
+    const position = getVowelPosition(vowel);
+    return hangulData.sixSquareGrid.find(cell => cell.position === position && cell.final === Boolean(final)) || null;
+}
+
+// ============================================
+// Rendering
+// ============================================
+
+function renderBlockDiagram(initial, vowel, final, size = '') {
+    const boxes = getBlockLayout(initial, vowel, final);
+    if (!boxes) return '';
+
+    const html = boxes.map(({ role, char, rect: [left, top, width, height] }) => `
+        <span class="block-box ${role}" style="left:${left}%;top:${top}%;width:${width}%;height:${height}%">${char}</span>`).join('');
+    return `<div class="block-diagram ${size}" aria-hidden="true">${html}</div>`;
+}
+
+// Shape label for the builder and decomposer, with its square in the 6-square guide
+function renderTypeIndicator(vowel, final) {
+    const position = getVowelPosition(vowel);
+    if (!position) return '';
+    const cell = getSixSquareCell(vowel, final);
+    const label = cell ? `<strong>${cell.label}</strong> ` : '';
+    return `<span class="type-indicator ${position}">${label}${t(BLOCK_LAYOUTS[position].label)}</span>`;
+}
@@ -0,0 +1,343 @@
+/**
+ * Hangul Explorer - Custom Decks
+ * Teacher-made word decks stored on this device, shown next to the built-in categories in Word Discovery
+ */
+
+// ============================================
+// State
+// ============================================
+
+const CUSTOM_DECKS_KEY = 'hangul-custom-decks';
+const CUSTOM_DECK_PREFIX = 'custom-'; // Category ids are 'custom-<deck id>', so they can't clash with built-in categories
+const DECK_ID_PATTERN = /^[a-z0-9-]+$/; // Ids go into category names, routes and inline handlers
+
+let customDecks = loadCustomDecks(); // [{ id, name, words: [{ korean, english }] }], in display order
+let customDeckWords = {};             // Derived words per category id, rebuilt after every change
+let editingDeckId = null;             // Deck open in the editor; null while the editor is closed
+let deckEditorError = '';
+
+// ============================================
+// Storage
+// ============================================
+
+// Only korean and english are stored - syllables, breakdown and pronunciation are derived on use.
+// Stored and imported words pass the same checks as words typed into the editor.
+function isValidCustomDecks(decks) {
+    const isWord = (w, i, words) => w !== null && typeof w === 'object' &&
+        typeof w.korean === 'string' && typeof w.english === 'string' &&
+        validateDeckWord(words.slice(0, i), w.korean, w.english.trim()) === '';
+    return Array.isArray(decks) && decks.every(deck =>
+        deck !== null && typeof deck === 'object' && typeof deck.id === 'string' && DECK_ID_PATTERN.test(deck.id) &&
+        typeof deck.name === 'string' && Array.isArray(deck.words) && deck.words.every(isWord));
+}
+
+function loadCustomDecks() {
+    try {
+        const decks = JSON.parse(localStorage.getItem(CUSTOM_DECKS_KEY) || '[]');
+        if (isValidCustomDecks(decks)) return decks;
+        console.error('Ignoring damaged custom decks in localStorage');
+    } catch (err) {
+        console.error('Failed to read custom decks:', err);
+    }
+    return [];
+}
+
+function saveCustomDecks() {
+    localStorage.setItem(CUSTOM_DECKS_KEY, JSON.stringify(customDecks));
+    customDeckWords = {};
+}
+
+// Backup merge: decks are matched by id; words missing locally are appended to the local deck
+function mergeCustomDecks(local, incoming) {
+    const merged = local.map(deck => ({ ...deck, words: [...deck.words] }));
+    incoming.forEach(deck => {
+        const mine = merged.find(d => d.id === deck.id);
+        if (!mine) {
+            merged.push(deck);
+            return;
+        }
+        deck.words.forEach(word => {
+            if (!mine.words.some(w => w.korean === word.korean && w.english === word.english)) mine.words.push(word);
+        });
+    });
+    return merged;
+}
+
+// ============================================
+// Categories
+// ============================================
+
+function isCustomDeck(category) {
+    return typeof category === 'string' && category.startsWith(CUSTOM_DECK_PREFIX);
+}
+
+function getCustomDeck(category) {
+    return customDecks.find(deck => CUSTOM_DECK_PREFIX + deck.id === category) || null;
+}
+
+// Built-in categories first, then the custom decks in the order the teacher arranged them
+function getWordCategories() {
+    return [...Object.keys(hangulData.words), ...customDecks.map(deck => CUSTOM_DECK_PREFIX + deck.id)];
+}
+
+// Custom words go through deriveWord like the built-in ones, so grid and flashcards render them unchanged
+function getCustomDeckWords(category) {
+    const deck = getCustomDeck(category);
+    if (!deck) return [];
+    if (!customDeckWords[category]) {
+        customDeckWords[category] = deck.words.map(word =>
+            deriveWord({ ...word, romanization: getPronunciation(word.korean).romanization }));
+    }
+    return customDeckWords[category];
+}
+
+// Every word the learner can meet, for the due deck and progress totals
+function getAllWords() {
+    return getWordCategories().flatMap(cat => (isCustomDeck(cat) ? getCustomDeckWords(cat) : hangulData.words[cat]));
+}
+
+// Same, with a word that sits in several categories listed once (searches and filters)
+function getUniqueWords() {
+    const seen = new Set();
+    return getAllWords().filter(word => {
+        if (seen.has(word.korean)) return false;
+        seen.add(word.korean);
+        return true;
+    });
+}
+
+// ============================================
+// Editing
+// ============================================
+
+function createDeckId() {
+    return Date.now().toString(36) + Math.random().toString(36).slice(2, 6);
+}
+
+function createDeck() {
+    const input = document.getElementById('deck-new-name');
+    const name = input ? input.value.trim() : '';
+    const deck = { id: createDeckId(), name: name || t('decks.untitled'), words: [] };
+    customDecks.push(deck);
+    editingDeckId = deck.id;
+    deckEditorError = '';
+    saveCustomDecks();
+    refreshDeckViews();
+    const korean = document.getElementById('deck-word-korean');
+    if (korean) korean.focus();
+}
+
+function renameDeck(id, name) {
+    const deck = customDecks.find(d => d.id === id);
+    if (!deck) return;
+    deck.name = name.trim() || t('decks.untitled');
+    saveCustomDecks();
+    refreshDeckViews();
+}
+
+function moveDeck(id, delta) {
+    const idx = customDecks.findIndex(d => d.id === id);
+    const target = idx + delta;
+    if (idx === -1 || target < 0 || target >= customDecks.length) return;
+    [customDecks[idx], customDecks[target]] = [customDecks[target], customDecks[idx]];
+    saveCustomDecks();
+    refreshDeckViews();
+}
+
+function deleteDeck(id) {
+    const deck = customDecks.find(d => d.id === id);
+    if (!deck || !confirm(t('decks.confirmDelete', { name: deck.name, count: deck.words.length }))) return;
+    customDecks = customDecks.filter(d => d.id !== id);
+    editingDeckId = customDecks.length > 0 ? customDecks[0].id : null;
+    saveCustomDecks();
+    refreshDeckViews();
+}
+
+function selectEditingDeck(id) {
+    editingDeckId = id;
+    deckEditorError = '';
+    renderDeckEditor();
+}
+
+// Returns a message for the teacher, or '' when the word can be added to a deck holding `words`
+function validateDeckWord(words, korean, english) {
+    if (!korean) return t('decks.errorKorean');
+    const syllables = deriveSyllables(korean);
+    if (syllables.length === 0 || syllables.length !== Array.from(korean.replace(/\s/g, '')).length) {
+        return t('decks.errorHangul');
+    }
+    if (!english) return t('decks.errorMeaning');
+    if (words.some(w => w.korean === korean && w.english === english)) return t('decks.errorDuplicate', { word: korean });
+    return '';
+}
+
+function addDeckWord() {
+    const deck = customDecks.find(d => d.id === editingDeckId);
+    const koreanInput = document.getElementById('deck-word-korean');
+    const englishInput = document.getElementById('deck-word-english');
+    if (!deck || !koreanInput || !englishInput) return;
+
+    const korean = koreanInput.value.trim().replace(/\s+/g, ' ');
+    const english = englishInput.value.trim();
+    deckEditorError = validateDeckWord(deck.words, korean, english);
+    if (!deckEditorError) {
+        deck.words.push({ korean, english });
+        saveCustomDecks();
+    }
+    refreshDeckViews();
+
+    // Keep the typed text when it was rejected, so it can be corrected
+    if (deckEditorError) {
+        document.getElementById('deck-word-korean').value = korean;
+        document.getElementById('deck-word-english').value = english;
+        updateDeckWordPreview(korean);
+    }
+    document.getElementById('deck-word-korean').focus();
+}
+
+function removeDeckWord(idx) {
+    const deck = customDecks.find(d => d.id === editingDeckId);
+    if (!deck) return;
+    deck.words.splice(idx, 1);
+    saveCustomDecks();
+    refreshDeckViews();
+}
+
+// Word Discovery shows the decks too: re-render it, leaving a deck that no longer exists
+function refreshDeckViews() {
+    if (isCustomDeck(currentWordCategory) && !getCustomDeck(currentWordCategory)) {
+        currentWordCategory = Object.keys(hangulData.words)[0];
+    }
+    shuffledWords = null;
+    if (wordCardIdx >= getCategoryWords(currentWordCategory).length) wordCardIdx = 0;
+    renderWordDiscovery();
+    renderDeckEditor();
+}
+
+// ============================================
+// Editor Dialog
+// ============================================
+
+// Opens on the deck being viewed, if it is a custom one
+function openDeckEditor() {
+    const viewing = getCustomDeck(currentWordCategory);
+    editingDeckId = viewing ? viewing.id : (customDecks[0] ? customDecks[0].id : null);
+    deckEditorError = '';
+
+    let modal = document.getElementById('deck-editor-modal');
+    if (!modal) {
+        modal = document.createElement('div');
+        modal.id = 'deck-editor-modal';
+        modal.className = 'record-modal';
+        modal.addEventListener('click', e => { if (e.target === modal) closeDeckEditor(); });
+        document.body.appendChild(modal);
+    }
+    modal.classList.add('open');
+    renderDeckEditor();
+    const first = modal.querySelector('input');
+    if (first) first.focus();
+}
+
+function closeDeckEditor() {
+    if (!isDeckEditorOpen()) return;
+    document.getElementById('deck-editor-modal').classList.remove('open');
+    editingDeckId = null;
+    const btn = document.querySelector('.deck-edit-btn');
+    if (btn) btn.focus();
+}
+
+function isDeckEditorOpen() {
+    const modal = document.getElementById('deck-editor-modal');
+    return !!modal && modal.classList.contains('open');
+}
+
+document.addEventListener('keydown', e => {
+    if (e.key === 'Escape' && isDeckEditorOpen()) closeDeckEditor();
+});
+
+function renderDeckEditor() {
+    const modal = document.getElementById('deck-editor-modal');
+    if (!modal || !modal.classList.contains('open')) return;
+
+    const deck = customDecks.find(d => d.id === editingDeckId);
+
+    modal.innerHTML = `
+        <div class="record-dialog deck-dialog" role="dialog" aria-modal="true" aria-label="${t('decks.title')}">
+            <button class="stroke-close" onclick="closeDeckEditor()" title="${t('decks.close')}">&times;</button>
+            <div class="stroke-info">
+                <h3>${t('decks.title')}</h3>
+                <p>${t('decks.intro')}</p>
+            </div>
+            <div class="deck-editor">
+                <div class="deck-list">
+                    ${renderDeckList()}
+                    <div class="deck-new">
+                        <input type="text" id="deck-new-name" class="deck-input" placeholder="${t('decks.newPlaceholder')}"
+                               aria-label="${t('decks.new')}" onkeydown="if (event.key === 'Enter') createDeck()">
+                        <button class="builder-btn secondary" onclick="createDeck()">${t('decks.create')}</button>
+                    </div>
+                </div>
+                <div class="deck-detail">${deck ? renderDeckDetail(deck) : `<p class="deck-none">${t('decks.none')}</p>`}</div>
+            </div>
+            ${renderDeckTransfer()}
+        </div>`;
+}
+
+function renderDeckList() {
+    if (customDecks.length === 0) return '';
+    const items = customDecks.map((deck, i) => `
+        <li class="deck-list-item ${deck.id === editingDeckId ? 'active' : ''}">
+            <button class="deck-select" onclick="selectEditingDeck(${jsString(deck.id)})" aria-pressed="${deck.id === editingDeckId}">
+                ${escapeHtml(deck.name)} <small>${t('decks.wordCount', { count: deck.words.length })}</small>
+            </button>
+            <button class="deck-move" onclick="moveDeck(${jsString(deck.id)}, -1)" title="${t('decks.moveUp')}" ${i === 0 ? 'disabled' : ''}>&uarr;</button>
+            <button class="deck-move" onclick="moveDeck(${jsString(deck.id)}, 1)" title="${t('decks.moveDown')}" ${i === customDecks.length - 1 ? 'disabled' : ''}>&darr;</button>
+        </li>`).join('');
+    return `<ul class="deck-list-items">${items}</ul>`;
+}
+
+function renderDeckDetail(deck) {
+    const words = getCustomDeckWords(CUSTOM_DECK_PREFIX + deck.id);
+    const rows = words.map((word, i) => `
+        <li class="record-take deck-word">
+            <span class="deck-word-korean">${escapeHtml(word.korean)}</span>
+            <span class="deck-word-parts">${formatBreakdown(word)}</span>
+            <span class="deck-word-english">${escapeHtml(word.english)}</span>
+            <button class="record-take-delete" onclick="removeDeckWord(${i})" title="${t('decks.remove', { word: escapeHtml(word.korean) })}">&times;</button>
+        </li>`).join('');
+
+    return `
+        <div class="deck-name-row">
+            <input type="text" class="deck-input" value="${escapeHtml(deck.name)}" aria-label="${t('decks.name')}"
+                   onchange="renameDeck(${jsString(deck.id)}, this.value)">
+            <button class="builder-btn danger" onclick="deleteDeck(${jsString(deck.id)})">${t('decks.delete')}</button>
+        </div>
+        <div class="deck-add">
+            <input type="text" id="deck-word-korean" class="deck-input korean" placeholder="${t('decks.korean')}" aria-label="${t('decks.korean')}"
+                   lang="ko" oninput="updateDeckWordPreview(this.value)" onkeydown="if (event.key === 'Enter') addDeckWord()">
+            <input type="text" id="deck-word-english" class="deck-input" placeholder="${t('decks.meaning')}" aria-label="${t('decks.meaning')}"
+                   onkeydown="if (event.key === 'Enter') addDeckWord()">
+            <button class="builder-btn primary" onclick="addDeckWord()">${t('decks.add')}</button>
+        </div>
+        <div class="deck-preview" id="deck-word-preview" aria-live="polite"></div>
+        ${deckEditorError ? `<p class="record-notice" role="alert">${deckEditorError}</p>` : ''}
+        <ul class="record-takes deck-words">${rows}</ul>`;
+}
+
+// '학교' -> 'ㅎ+ㅏ+ㄱ · ㄱ+ㅛ'
+function formatBreakdown(word) {
+    return word.breakdown.map(bd => `${bd.initial}+${bd.vowel}${bd.final ? '+' + bd.final : ''}`).join(' · ');
+}
+
+// Shows what will be derived from the Korean as it is typed
+function updateDeckWordPreview(korean) {
+    const el = document.getElementById('deck-word-preview');
+    if (!el) return;
+    const syllables = deriveSyllables(korean);
+    if (syllables.length === 0) {
+        el.textContent = '';
+        return;
+    }
+    const word = deriveWord({ korean });
+    el.textContent = `${formatBreakdown(word)} — ${romanizePronunciation(word.pronunciation)}`;
+}
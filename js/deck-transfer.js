@@ -0,0 +1,320 @@
+/**
+ * Hangul Explorer - Deck Import & Export
+ * Reads word lists from CSV/TSV spreadsheets into custom decks (with a preview step) and
+ * writes any category out as CSV or as an Anki-importable text file
+ */
+
+// ============================================
+// State
+// ============================================
+
+// Header names accepted for each column; files without a header use this order
+const IMPORT_COLUMNS = {
+    korean: ['korean', 'hangul', '한국어'],
+    english: ['english', 'meaning', 'translation'],
+    romanization: ['romanization', 'romanisation', 'romaja'],
+    category: ['category', 'deck']
+};
+
+let pendingImport = null; // { fileName, rows } parsed from the chosen file, waiting for confirmation
+let exportCategory = null;
+let exportFormat = 'csv';
+
+// ============================================
+// Parsing
+// ============================================
+
+// Tab-separated if the first line has a tab, then semicolons (European spreadsheets), else commas
+function detectDelimiter(text) {
+    const firstLine = text.split(/\r?\n/, 1)[0];
+    if (firstLine.includes('\t')) return '\t';
+    if (firstLine.includes(';') && !firstLine.includes(',')) return ';';
+    return ',';
+}
+
+// RFC 4180 style: quoted fields may hold the delimiter, "" and line breaks
+function parseDelimited(text) {
+    const delimiter = detectDelimiter(text);
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const ch = text[i];
+        if (quoted) {
+            if (ch === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (ch === '"') {
+                quoted = false;
+            } else {
+                field += ch;
+            }
+        } else if (ch === '"' && field === '') {
+            quoted = true;
+        } else if (ch === delimiter) {
+            row.push(field);
+            field = '';
+        } else if (ch === '\n' || ch === '\r') {
+            if (ch === '\r' && text[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += ch;
+        }
+    }
+    if (field !== '' || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+    return rows.map(cells => cells.map(cell => cell.trim())).filter(cells => cells.some(cell => cell !== ''));
+}
+
+// Column index per field from a header row, or null when the first row is already data
+function readImportHeader(cells) {
+    const names = cells.map(cell => cell.toLowerCase());
+    const columns = {};
+    Object.entries(IMPORT_COLUMNS).forEach(([key, aliases]) => {
+        const idx = names.findIndex(name => aliases.includes(name));
+        if (idx !== -1) columns[key] = idx;
+    });
+    return 'korean' in columns ? columns : null;
+}
+
+// Every row gets a target deck and its problems: errors skip the row, warnings are only shown
+function buildImportPreview(text, fileName) {
+    const rows = parseDelimited(text.replace(/^\uFEFF/, ''));
+    const header = rows.length > 0 ? readImportHeader(rows[0]) : null;
+    const columns = header || { korean: 0, english: 1, romanization: 2, category: 3 };
+    const dataRows = header ? rows.slice(1) : rows;
+
+    // Rows without a category go to the deck open in the editor, or a new deck named after the file
+    const editing = customDecks.find(d => d.id === editingDeckId);
+    const fallbackDeck = editing ? editing.name : fileName.replace(/\.[^.]+$/, '');
+    const accepted = {}; // Deck name -> words already in it or accepted above, to catch duplicates
+
+    const previewRows = dataRows.map((cells, i) => {
+        const cell = key => (columns[key] === undefined ? '' : (cells[columns[key]] || '').trim().replace(/^'(?=[=+\-@])/, ''));
+        const korean = cell('korean').replace(/\s+/g, ' ');
+        const english = cell('english');
+        const romanization = cell('romanization');
+        const deck = cell('category') || fallbackDeck;
+        const row = { line: i + 1 + (header ? 1 : 0), korean, english, deck, error: '', warning: '' };
+
+        if (!accepted[deck]) {
+            const existing = customDecks.find(d => d.name === deck);
+            accepted[deck] = existing ? [...existing.words] : [];
+        }
+        row.error = validateDeckWord(accepted[deck], korean, english);
+        if (row.error) return row;
+
+        accepted[deck].push({ korean, english });
+        row.word = deriveWord({ korean, english });
+        // Romanization is always derived; a differing column is flagged so the teacher can check it
+        const derived = row.word.pronunciation.romanization;
+        if (romanization && romanization.replace(/[\s-]/g, '').toLowerCase() !== derived.replace(/[\s-]/g, '').toLowerCase()) {
+            row.warning = t('transfer.romanizationDiffers', { given: romanization, derived });
+        }
+        return row;
+    });
+
+    return { fileName, rows: previewRows };
+}
+
+// ============================================
+// Importing
+// ============================================
+
+function chooseDeckFile() {
+    const input = document.getElementById('deck-file-input');
+    if (input) input.click();
+}
+
+async function handleDeckFile(input) {
+    const file = input.files[0];
+    input.value = ''; // Allow picking the same file again
+    if (!file) return;
+
+    pendingImport = buildImportPreview(await file.text(), file.name);
+    renderDeckEditor();
+}
+
+function cancelDeckImport() {
+    pendingImport = null;
+    renderDeckEditor();
+}
+
+// Valid rows are appended to the deck with the matching name, creating decks as needed
+function confirmDeckImport() {
+    if (!pendingImport) return;
+    let firstDeck = null;
+    pendingImport.rows.filter(row => !row.error).forEach(row => {
+        let deck = customDecks.find(d => d.name === row.deck);
+        if (!deck) {
+            deck = { id: createDeckId(), name: row.deck || t('decks.untitled'), words: [] };
+            customDecks.push(deck);
+        }
+        deck.words.push({ korean: row.korean, english: row.english });
+        firstDeck = firstDeck || deck;
+    });
+
+    pendingImport = null;
+    if (firstDeck) editingDeckId = firstDeck.id;
+    saveCustomDecks();
+    refreshDeckViews();
+}
+
+// ============================================
+// Exporting
+// ============================================
+
+// 'ㅎ+ㅏ+ㄱ' per syllable, written out as '학 = ㅎ+ㅏ+ㄱ'
+function describeBreakdown(word, separator) {
+    return word.syllables.map((syl, i) => {
+        const bd = word.breakdown[i];
+        return `${syl} = ${bd.initial}+${bd.vowel}${bd.final ? '+' + bd.final : ''}`;
+    }).join(separator);
+}
+
+// Spreadsheet apps run a cell starting with one of these as a formula
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+// A leading ' makes spreadsheets show such a field as text; the importer strips it again
+function csvField(value) {
+    const text = FORMULA_PREFIX.test(String(value)) ? "'" + value : String(value);
+    return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Same columns the importer reads, plus the breakdown; the BOM makes spreadsheet apps read it as UTF-8
+function buildCsvExport(words, label) {
+    const lines = [['korean', 'english', 'romanization', 'category', 'breakdown'].join(',')];
+    words.forEach(word => {
+        lines.push([word.korean, word.english, word.pronunciation.romanization, label, describeBreakdown(word, '; ')]
+            .map(csvField).join(','));
+    });
+    return '\uFEFF' + lines.join('\r\n') + '\r\n';
+}
+
+// Anki's text import: tab-separated notes with file headers naming the columns, deck and tags column
+function buildAnkiExport(words, label) {
+    const field = value => {
+        const text = String(value);
+        return /[\t"\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+    const tag = 'hangul-explorer::' + label.replace(/\s+/g, '_');
+    const lines = [
+        '#separator:tab',
+        '#html:true',
+        `#deck:Hangul Explorer::${label}`,
+        '#columns:Korean\tMeaning\tRomanization\tBreakdown\tPronunciation\tTags',
+        '#tags column:6'
+    ];
+    words.forEach(word => {
+        const pron = word.pronunciation;
+        lines.push([
+            word.korean,
+            escapeHtml(word.english),
+            pron.romanization,
+            describeBreakdown(word, '<br>'),
+            pron.changed.some(Boolean) ? `[${pron.spoken}]` : '',
+            tag
+        ].map(field).join('\t'));
+    });
+    return lines.join('\n') + '\n';
+}
+
+function exportDeck() {
+    const category = exportCategory || getWordCategories()[0];
+    const words = getCategoryWords(category);
+    if (words.length === 0) return;
+
+    const label = getCategoryLabel(category);
+    const slug = label.toLowerCase().replace(/[^\p{L}\p{N}]+/gu, '-').replace(/^-|-$/g, '') || 'deck';
+    if (exportFormat === 'anki') {
+        downloadFile(`hangul-${slug}-anki.txt`, buildAnkiExport(words, label), 'text/plain;charset=utf-8');
+    } else {
+        downloadFile(`hangul-${slug}.csv`, buildCsvExport(words, label), 'text/csv;charset=utf-8');
+    }
+}
+
+function setExportCategory(category) {
+    exportCategory = category;
+}
+
+function setExportFormat(format) {
+    exportFormat = format;
+}
+
+// ============================================
+// Rendering
+// ============================================
+
+function renderDeckTransfer() {
+    // Default to the deck being edited, else whatever Word Discovery is showing
+    const categories = getWordCategories();
+    const editing = editingDeckId && CUSTOM_DECK_PREFIX + editingDeckId;
+    if (!categories.includes(exportCategory)) {
+        exportCategory = categories.includes(editing) ? editing : (categories.includes(currentWordCategory) ? currentWordCategory : categories[0]);
+    }
+    const options = categories.map(cat =>
+        `<option value="${cat}" ${cat === exportCategory ? 'selected' : ''}>${escapeHtml(getCategoryLabel(cat))}</option>`).join('');
+
+    return `
+        <div class="deck-transfer">
+            <h4>${t('transfer.title')}</h4>
+            <div class="deck-transfer-row">
+                <button class="builder-btn secondary" onclick="chooseDeckFile()">${t('transfer.import')}</button>
+                <input type="file" id="deck-file-input" accept=".csv,.tsv,.txt,text/csv,text/tab-separated-values,text/plain" hidden onchange="handleDeckFile(this)">
+                <span class="deck-transfer-hint">${t('transfer.importHint')}</span>
+            </div>
+            ${pendingImport ? renderImportPreview() : ''}
+            <div class="deck-transfer-row">
+                <select class="deck-input" aria-label="${t('transfer.exportWhich')}" onchange="setExportCategory(this.value)">${options}</select>
+                <select class="deck-input" aria-label="${t('transfer.format')}" onchange="setExportFormat(this.value)">
+                    <option value="csv" ${exportFormat === 'csv' ? 'selected' : ''}>CSV</option>
+                    <option value="anki" ${exportFormat === 'anki' ? 'selected' : ''}>${t('transfer.anki')}</option>
+                </select>
+                <button class="builder-btn secondary" onclick="exportDeck()">${t('transfer.export')}</button>
+            </div>
+        </div>`;
+}
+
+function renderImportPreview() {
+    const { fileName, rows } = pendingImport;
+    const ready = rows.filter(row => !row.error).length;
+
+    const body = rows.map(row => {
+        const status = row.error || row.warning;
+        return `
+            <tr class="${row.error ? 'import-error' : (row.warning ? 'import-warning' : '')}">
+                <td>${row.line}</td>
+                <td class="deck-word-korean">${escapeHtml(row.korean)}</td>
+                <td>${escapeHtml(row.english)}</td>
+                <td class="deck-word-parts">${row.word ? formatBreakdown(row.word) : ''}</td>
+                <td>${escapeHtml(row.deck)}</td>
+                <td>${status ? escapeHtml(status) : '&check;'}</td>
+            </tr>`;
+    }).join('');
+
+    return `
+        <div class="import-preview">
+            <p class="import-summary">${t('transfer.summary', { file: escapeHtml(fileName), ready, skipped: rows.length - ready })}</p>
+            ${rows.length > 0 ? `
+            <div class="import-table-wrap">
+                <table class="import-table">
+                    <thead><tr>
+                        <th>#</th><th>${t('decks.korean')}</th><th>${t('decks.meaning')}</th>
+                        <th>${t('transfer.breakdown')}</th><th>${t('transfer.deck')}</th><th>${t('transfer.status')}</th>
+                    </tr></thead>
+                    <tbody>${body}</tbody>
+                </table>
+            </div>` : ''}
+            <div class="backup-actions">
+                <button class="builder-btn primary" onclick="confirmDeckImport()" ${ready === 0 ? 'disabled' : ''}>${t('transfer.confirm', { count: ready })}</button>
+                <button class="builder-btn secondary" onclick="cancelDeckImport()">${t('transfer.cancel')}</button>
+            </div>
+        </div>`;
+}
@@ -10,18 +10,26 @@
 let hangulData = null;
 let selectedConsonant = null;
 let selectedVowel = null;
+let selectedFinal = null;
 let currentSection = 'consonants';
 let currentWordCategory = 'greetings';
 let wordCardIdx = 0;
 let wordFlipped = false;
 let shuffledWords = null;
 let wordViewMode = 'grid'; // 'grid' or 'flashcard'
-let flashcardDirection = localStorage.getItem('flashcardDirection') || 'kr-en';
+let flashcardDirection = loadFlashcardDirection(); // 'ko-learner' (Korean on the front) or 'learner-ko'
 let synth = window.speechSynthesis;
 let koreanVoice = null;
 let currentAudio = null;
 let audioGeneration = 0; // Generation counter to cancel stale audio callbacks
 
+// Older versions saved the direction as 'kr-en' / 'en-kr'
+function loadFlashcardDirection() {
+    const saved = localStorage.getItem('flashcardDirection');
+    if (saved === 'en-kr' || saved === 'learner-ko') return 'learner-ko';
+    return 'ko-learner';
+}
+
 // Stop any currently playing audio before starting new playback
 function stopAllAudio() {
     audioGeneration++; // Invalidate all pending audio callbacks
@@ -51,12 +59,22 @@ document.addEventListener('DOMContentLoaded', async () => {
     }
 
     await loadData();
+    applyStaticMessages();
+    renderPlaybackBar();
+    renderLanguageSwitcher();
+    renderRomanizationSwitcher();
+    applyRomanizationVisibility();
     findKoreanVoice();
     renderConsonantGrid();
     renderVowelGrid();
     renderBuilder();
+    renderSyllableChart();
     renderWordDiscovery();
+    renderListeningQuiz();
+    renderTypingTrainer();
     initNavigation();
+    initRouter();
+    initOfflineMode();
 
     // speechSynthesis voices may load asynchronously
     if (synth.onvoiceschanged !== undefined) {
@@ -66,13 +84,56 @@ document.addEventListener('DOMContentLoaded', async () => {
 
 async function loadData() {
     try {
-        const response = await fetch('data/hangul-data.json');
+        const [response] = await Promise.all([fetch('data/hangul-data.json'), loadAudioManifest(), loadMessages()]);
+        if (!response.ok) throw new Error(`Server answered ${response.status} ${response.statusText}`);
         hangulData = await response.json();
+        // Derive syllables/breakdowns from the korean strings and report authoring mistakes
+        const issues = prepareWordData(hangulData);
+        if (isDevMode()) issues.push(...getAudioCoverageIssues());
+        reportDataIssues(issues);
     } catch (err) {
         console.error('Failed to load hangul data:', err);
+        hangulData = null;
+        renderLoadError(err);
     }
 }
 
+// Without the data file nothing can render, so say so instead of showing empty sections
+function renderLoadError(err) {
+    const offline = navigator.onLine === false;
+    // The catalogs usually fail along with the data, so keep the English text as a last resort
+    const message = (key, english) => (hasMessage(key) ? t(key) : english);
+    const screen = document.createElement('div');
+    screen.className = 'load-error';
+    screen.innerHTML = `
+        <div class="load-error-card">
+            <h2>${message('loadError.title', "The lessons couldn't be loaded")}</h2>
+            <p>${offline
+                ? message('loadError.offline', 'You seem to be offline, and this device has not saved Hangul Explorer for offline use yet. Connect to the internet once and it will be available offline from then on.')
+                : message('loadError.failed', 'The lesson data (data/hangul-data.json) could not be read. Check your connection and try again.')}</p>
+            <p class="load-error-detail">${escapeHtml(err.message || String(err))}</p>
+            <button class="landing-start-btn" onclick="window.location.reload()">${message('loadError.retry', 'Try again')}</button>
+        </div>`;
+    document.body.appendChild(screen);
+}
+
+// Re-render everything that shows translated text or romanization after a language or system switch
+function refreshContentViews() {
+    renderConsonantGrid();
+    renderVowelGrid();
+    renderBuilder();
+    renderSyllableChart();
+    renderWordDiscovery();
+    renderListeningQuiz();
+    renderTypingTrainer();
+    renderPlaybackBar();
+    renderOfflineStatus();
+    if (currentSection === 'progress') renderProgressDashboard();
+    if (currentSection === 'print') renderPrintSection();
+    // Re-rendering drops the selection highlights, so put them back
+    restoreBuilderSelection(selectedConsonant, selectedVowel, selectedFinal);
+}
+
 function findKoreanVoice() {
     const voices = synth.getVoices();
     koreanVoice = voices.find(v => v.lang === 'ko-KR') ||
@@ -102,51 +163,99 @@ function switchSection(sectionId) {
     document.querySelectorAll('.section').forEach(sec => {
         sec.classList.toggle('active', sec.id === sectionId);
     });
+
+    // The dashboard reflects practice done in other sections, so rebuild it on entry
+    if (sectionId === 'progress') renderProgressDashboard();
+    if (sectionId === 'print') renderPrintSection();
+    syncRoute(true);
 }
 
 // ============================================
 // Audio Playback
 // ============================================
 
-function playAudio(audioFile, fallbackText) {
+// kind: 'jamo', 'syllable' or 'word'. Plays the best clip from the audio manifest (or speech
+// synthesis) using the playback bar's speed and repeat settings. Pass { compare: false } for
+// sounds that must not be revealed in the A/B list, like the listening quiz target.
+function playAudio(kind, text, options = {}) {
     stopAllAudio();
     const gen = audioGeneration; // Capture generation at call time
-    const basePath = 'audio/' + audioFile.replace(/\.[^.]+$/, '');
-    const ttsPath = 'audio/tts/' + audioFile.replace(/\.[^.]+$/, '') + '.mp3';
-    const webmPath = basePath + '.webm';
-    const mp3Path = basePath + '.mp3';
-
-    const tryPlay = (path) => {
-        if (gen !== audioGeneration) return Promise.reject('cancelled');
-        return new Promise((resolve, reject) => {
-            const audio = new Audio(path);
-            audio.oncanplaythrough = () => {
-                if (gen !== audioGeneration) { audio.pause(); reject('cancelled'); return; }
-                currentAudio = audio;
-                audio.play().then(resolve).catch(reject);
-            };
-            audio.onerror = reject;
-        });
-    };
+    if (options.compare !== false) addToComparison(kind, text);
+    return playSequence([{ kind, text }], gen);
+}
 
-    tryPlay(webmPath)
-        .catch(e => { if (e === 'cancelled') return; return tryPlay(mp3Path); })
-        .catch(e => { if (e === 'cancelled') return; return tryPlay(ttsPath); })
-        .catch(e => { if (e === 'cancelled') return; speakKorean(fallbackText); });
+// Play items in order, repeated per the playback settings, until a newer playback starts
+async function playSequence(items, gen, onItem) {
+    const { repeat, gap } = playbackSettings;
+    for (let round = 0; repeat === 0 || round < repeat; round++) {
+        for (let i = 0; i < items.length; i++) {
+            // A short minimum pause keeps a loop of silent items from spinning
+            if (round > 0 || i > 0) await wait(Math.max(gap, 0.15) * 1000);
+            if (gen !== audioGeneration) return;
+            if (onItem) onItem(i);
+            await playClip(items[i], gen);
+            if (gen !== audioGeneration) return;
+        }
+    }
 }
 
+// item: { kind, text } for a reference sound, or { src } for a clip such as the learner's own
+// recording. Resolves when the clip has finished (or was cancelled by a newer playback)
+function playClip({ kind, text, src }, gen) {
+    return new Promise(resolve => {
+        const source = src ? { src } : resolveAudio(kind, text);
+        let fellBack = false;
+        const fallback = () => {
+            if (fellBack || !text || gen !== audioGeneration) return resolve();
+            fellBack = true;
+            speakKorean(text).then(resolve);
+        };
+        if (!source) {
+            fallback();
+            return;
+        }
+
+        const audio = takeAudio(source.src);
+        currentAudio = audio;
+        audio.playbackRate = playbackSettings.rate;
+        // Slowed-down recordings should sound slower, not lower
+        audio.preservesPitch = audio.webkitPreservesPitch = audio.mozPreservesPitch = true;
+        audio.onended = resolve;
+        audio.onpause = resolve; // stopAllAudio pauses it
+        audio.onerror = fallback;
+        audio.play().catch(fallback);
+    });
+}
 
+// Resolves when the utterance ends; callers stop other audio first
 function speakKorean(text) {
-    stopAllAudio();
-    if (!synth) return;
-    const utterance = new SpeechSynthesisUtterance(text);
-    utterance.lang = 'ko-KR';
-    if (koreanVoice) {
-        utterance.voice = koreanVoice;
-    }
-    utterance.rate = 0.8;
-    utterance.pitch = 1;
-    synth.speak(utterance);
+    return new Promise(resolve => {
+        if (!synth) return resolve();
+        const utterance = new SpeechSynthesisUtterance(text);
+        utterance.lang = 'ko-KR';
+        if (koreanVoice) {
+            utterance.voice = koreanVoice;
+        }
+        utterance.rate = 0.8 * playbackSettings.rate;
+        utterance.pitch = 1;
+        utterance.onend = resolve;
+        utterance.onerror = resolve;
+        synth.speak(utterance);
+    });
+}
+
+function wait(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// For text typed by teachers (deck names, meanings) before it goes into innerHTML
+function escapeHtml(text) {
+    return String(text).replace(/[&<>"']/g, ch => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[ch]);
+}
+
+// A string argument for an inline handler: quoted as JavaScript, then escaped for the attribute
+function jsString(text) {
+    return escapeHtml(JSON.stringify(String(text)));
 }
 
 // ============================================
@@ -163,26 +272,26 @@ function renderConsonantGrid() {
         double: hangulData.consonants.filter(c => c.type === 'double')
     };
 
-    container.innerHTML = '';
+    container.innerHTML = renderLearnedToolbar('consonant');
 
     // Basic consonants - always visible
-    container.innerHTML += renderCharGroup('Basic Consonants', 'basic', groups.basic, 'consonant');
+    container.innerHTML += renderCharGroup(t('consonants.basic'), 'basic', groups.basic, 'consonant');
     // Aspirated + Double - collapsible
     container.innerHTML += `<div class="collapsible-section">
-        <button class="collapse-toggle" onclick="toggleCollapse(this)">
-            Aspirated & Double Consonants <span class="collapse-count">${groups.aspirated.length + groups.double.length}</span>
+        <button class="collapse-toggle">
+            ${t('consonants.more')} <span class="collapse-count">${groups.aspirated.length + groups.double.length}</span>
             <span class="collapse-arrow">+</span>
         </button>
         <div class="collapse-content" style="display:none">
-            ${renderCharGroup('Aspirated Consonants', 'aspirated', groups.aspirated, 'consonant')}
-            ${renderCharGroup('Double (Tense) Consonants', 'double', groups.double, 'consonant')}
+            ${renderCharGroup(t('consonants.aspirated'), 'aspirated', groups.aspirated, 'consonant')}
+            ${renderCharGroup(t('consonants.double'), 'double', groups.double, 'consonant')}
         </div>
     </div>`;
 
     // Tips - collapsible
     container.innerHTML += `<div class="collapsible-section">
-        <button class="collapse-toggle" onclick="toggleCollapse(this)">
-            Teaching Tips <span class="collapse-arrow">+</span>
+        <button class="collapse-toggle">
+            ${t('tips.teaching')} <span class="collapse-arrow">+</span>
         </button>
         <div class="collapse-content" style="display:none">
             ${renderConsonantTips()}
@@ -193,42 +302,43 @@ function renderConsonantGrid() {
     container.querySelectorAll('.char-cell[data-type="consonant"]').forEach(cell => {
         cell.addEventListener('click', () => handleConsonantClick(cell));
     });
+    initCollapsibles(container);
+    initRovingGrids(container);
 }
 
 function renderCharGroup(title, badgeClass, chars, dataType) {
-    const badgeLabels = {
-        basic: 'Basic',
-        aspirated: 'Aspirated (+air)',
-        double: 'Tense (no air)',
-        'basic-vertical': 'Vertical',
-        'basic-horizontal': 'Horizontal',
-        'y-vertical': 'Y-vertical',
-        'y-horizontal': 'Y-horizontal',
-        compound: 'Compound'
-    };
-
     let html = `
         <div class="char-group">
             <div class="char-group-label">
                 <h3>${title}</h3>
-                <span class="badge badge-${badgeClass}">${badgeLabels[badgeClass] || badgeClass}</span>
+                <span class="badge badge-${badgeClass}">${hasMessage('badge.' + badgeClass) ? t('badge.' + badgeClass) : badgeClass}</span>
             </div>
-            <div class="char-grid">`;
+            <div class="char-grid" role="group" aria-label="${title}">`;
 
     chars.forEach(c => {
-        const extraClass = c.type === 'aspirated' ? 'aspirated-cell' :
-                          c.type === 'double' ? 'double-cell' : '';
+        const extraClass = (c.type === 'aspirated' ? 'aspirated-cell' :
+                          c.type === 'double' ? 'double-cell' : '') + (isLetterLearned(c.char) ? ' learned' : '');
         const tipHtml = getCharTooltip(c);
 
         html += `
-            <div class="char-cell ${extraClass}"
+            <div class="char-cell ${extraClass}" role="button"
+                 aria-label="${getJamoLabel(c.char)}" aria-describedby="grid-keys-hint"
                  data-type="${dataType}"
                  data-char="${c.char}"
-                 data-rom="${c.romanization}"
+                 data-rom="${romanizeJamo(c.char)}"
                  data-audio="${c.audioFile || ''}">
                 <div class="char-main">${c.char}</div>
-                <div class="char-rom">${c.romanization}</div>
+                <div class="char-rom">${romanizeJamo(c.char)}</div>
                 ${tipHtml}
+                ${c.strokes ? `<button class="stroke-btn" tabindex="-1" title="${t('grid.strokeOrder', { char: c.char })}" onclick="event.stopPropagation(); openStrokeDetail('${dataType}', '${c.char}')">
+                    <svg viewBox="0 0 24 24"><path d="M4 20h4L19 9l-4-4L4 16z"/></svg>
+                </button>` : ''}
+                <button class="record-btn" tabindex="-1" title="${t('grid.record', { char: c.char })}" onclick="event.stopPropagation(); openRecorder('jamo', '${c.char}')">
+                    <svg viewBox="0 0 24 24"><path d="M12 15a3 3 0 0 0 3-3V6a3 3 0 0 0-6 0v6a3 3 0 0 0 3 3zm5-3a5 5 0 0 1-10 0H5a7 7 0 0 0 6 6.9V21h2v-2.1a7 7 0 0 0 6-6.9z"/></svg>
+                </button>
+                <button class="words-btn" tabindex="-1" title="${t('grid.seeWords', { char: c.char })}" onclick="event.stopPropagation(); showWordsWithLetter('${c.char}')">
+                    <svg viewBox="0 0 24 24"><path d="M10 4a6 6 0 0 1 4.8 9.6l5.3 5.3-1.4 1.4-5.3-5.3A6 6 0 1 1 10 4zm0 2a4 4 0 1 0 0 8 4 4 0 0 0 0-8z"/></svg>
+                </button>
                 <div class="audio-indicator">
                     <svg viewBox="0 0 24 24"><polygon points="5,3 19,12 5,21"/></svg>
                 </div>
@@ -242,14 +352,14 @@ function renderCharGroup(title, badgeClass, chars, dataType) {
 function getCharTooltip(charData) {
     if (!charData.mnemonic) return '';
 
-    let tip = charData.mnemonic.text;
+    let tip = localize(charData.mnemonic, 'text');
 
     if (charData.whisperTest) {
-        tip += '<br><strong>Whisper Test:</strong> Try whispering - if it feels natural, it\'s aspirated!';
+        tip += '<br>' + t('tips.whisper');
     }
 
     if (charData.articulatory) {
-        tip += `<br><em>${charData.articulatory}</em>`;
+        tip += `<br><em>${localize(charData, 'articulatory')}</em>`;
     }
 
     return `<div class="teaching-tip">${tip}</div>`;
@@ -259,21 +369,21 @@ function renderConsonantTips() {
     const tips = hangulData.teachingTips;
     return `
         <div class="tips-panel">
-            <h3>Teaching Tips</h3>
+            <h3>${t('tips.teaching')}</h3>
             <div class="tip-card">
-                <h4>${tips.whisperTest.title}</h4>
-                <p>${tips.whisperTest.description}</p>
+                <h4>${localize(tips.whisperTest, 'title')}</h4>
+                <p>${localize(tips.whisperTest, 'description')}</p>
             </div>
             <div class="tip-card">
-                <h4>${tips.aspirationPattern.title}</h4>
-                <p>${tips.aspirationPattern.description}</p>
+                <h4>${localize(tips.aspirationPattern, 'title')}</h4>
+                <p>${localize(tips.aspirationPattern, 'description')}</p>
                 <div class="tip-pairs">
                     ${tips.aspirationPattern.pairs.map(p => `<span class="tip-pair">${p}</span>`).join('')}
                 </div>
             </div>
             <div class="tip-card">
-                <h4>${tips.doublePattern.title}</h4>
-                <p>${tips.doublePattern.description}</p>
+                <h4>${localize(tips.doublePattern, 'title')}</h4>
+                <p>${localize(tips.doublePattern, 'description')}</p>
                 <div class="tip-pairs">
                     ${tips.doublePattern.pairs.map(p => `<span class="tip-pair">${p}</span>`).join('')}
                 </div>
@@ -283,6 +393,10 @@ function renderConsonantTips() {
 
 function handleConsonantClick(cell) {
     const char = cell.dataset.char;
+    if (markingLearned) {
+        toggleLearnedLetter(char);
+        return;
+    }
     const charData = hangulData.consonants.find(c => c.char === char);
 
     // Always select (don't toggle off on re-click, just replay audio)
@@ -295,7 +409,8 @@ function handleConsonantClick(cell) {
 
     // Play audio
     if (charData) {
-        playAudio(charData.audioFile, charData.char);
+        playAudio('jamo', char);
+        recordPlay('consonant', char);
     }
 
     updateBuilder();
@@ -317,29 +432,29 @@ function renderVowelGrid() {
         compound: hangulData.vowels.filter(v => v.type === 'compound')
     };
 
-    container.innerHTML = '';
+    container.innerHTML = renderLearnedToolbar('vowel');
 
     // Basic vowels - always visible
-    container.innerHTML += renderCharGroup('Basic Vowels', 'basic-vertical',
+    container.innerHTML += renderCharGroup(t('vowels.basic'), 'basic-vertical',
         [...groups['basic-vertical'], ...groups['basic-horizontal']], 'vowel');
 
     // Y-variants + Compound - collapsible
     container.innerHTML += `<div class="collapsible-section">
-        <button class="collapse-toggle" onclick="toggleCollapse(this)">
-            Y-Vowels & Compound Vowels <span class="collapse-count">${groups['y-vertical'].length + groups['y-horizontal'].length + groups.compound.length}</span>
+        <button class="collapse-toggle">
+            ${t('vowels.more')} <span class="collapse-count">${groups['y-vertical'].length + groups['y-horizontal'].length + groups.compound.length}</span>
             <span class="collapse-arrow">+</span>
         </button>
         <div class="collapse-content" style="display:none">
-            ${renderCharGroup('Y-Vowels', 'y-vertical',
+            ${renderCharGroup(t('vowels.y'), 'y-vertical',
                 [...groups['y-vertical'], ...groups['y-horizontal']], 'vowel')}
-            ${renderCharGroup('Compound Vowels', 'compound', groups.compound, 'vowel')}
+            ${renderCharGroup(t('vowels.compound'), 'compound', groups.compound, 'vowel')}
         </div>
     </div>`;
 
     // Tips - collapsible
     container.innerHTML += `<div class="collapsible-section">
-        <button class="collapse-toggle" onclick="toggleCollapse(this)">
-            Vowel Tips <span class="collapse-arrow">+</span>
+        <button class="collapse-toggle">
+            ${t('tips.vowel')} <span class="collapse-arrow">+</span>
         </button>
         <div class="collapse-content" style="display:none">
             ${renderVowelTips()}
@@ -350,35 +465,42 @@ function renderVowelGrid() {
     container.querySelectorAll('.char-cell[data-type="vowel"]').forEach(cell => {
         cell.addEventListener('click', () => handleVowelClick(cell));
     });
+    initCollapsibles(container);
+    initRovingGrids(container);
 }
 
 function renderVowelTips() {
     const tips = hangulData.teachingTips;
     return `
         <div class="tips-panel">
-            <h3>Vowel Tips</h3>
+            <h3>${t('tips.vowel')}</h3>
             <div class="tip-card">
-                <h4>${tips.handPosition.title}</h4>
-                <p>${tips.handPosition.description}</p>
-                <p style="margin-top:6px;font-size:0.78rem;color:#888">${tips.handPosition.detail}</p>
+                <h4>${localize(tips.handPosition, 'title')}</h4>
+                <p>${localize(tips.handPosition, 'description')}</p>
+                <p style="margin-top:6px;font-size:0.78rem;color:#888">${localize(tips.handPosition, 'detail')}</p>
             </div>
             <div class="tip-card">
-                <h4>${tips.yPattern.title}</h4>
-                <p>${tips.yPattern.description}</p>
+                <h4>${localize(tips.yPattern, 'title')}</h4>
+                <p>${localize(tips.yPattern, 'description')}</p>
                 <div class="tip-pairs">
                     ${tips.yPattern.pairs.map(p => `<span class="tip-pair">${p}</span>`).join('')}
                 </div>
             </div>
             <div class="tip-card">
-                <h4>Vertical vs Horizontal</h4>
-                <p><strong>Vertical vowels</strong> (\u314f \u3153 \u3163 etc.) go to the <strong>RIGHT</strong> of the consonant (Type B).</p>
-                <p><strong>Horizontal vowels</strong> (\u3157 \u315c \u3161 etc.) go <strong>BELOW</strong> the consonant (Type A).</p>
+                <h4>${t('tips.verticalTitle')}</h4>
+                <p>${t('tips.vertical')}</p>
+                <p>${t('tips.horizontal')}</p>
+                <p>${t('tips.combined')}</p>
             </div>
         </div>`;
 }
 
 function handleVowelClick(cell) {
     const char = cell.dataset.char;
+    if (markingLearned) {
+        toggleLearnedLetter(char);
+        return;
+    }
     const charData = hangulData.vowels.find(v => v.char === char);
 
     // Always select
@@ -390,7 +512,8 @@ function handleVowelClick(cell) {
     syncBuilderSelection('medial', char);
 
     if (charData) {
-        playAudio(charData.audioFile, charData.char);
+        playAudio('jamo', char);
+        recordPlay('vowel', char);
     }
 
     updateBuilder();
@@ -406,37 +529,55 @@ function renderBuilder() {
 
     container.innerHTML = `
         <div class="section-header">
-            <h2>Syllable Builder</h2>
-            <p>Select a consonant + vowel to build a syllable block.</p>
+            <h2>${t('builder.title')}</h2>
+            <p>${t('builder.intro')}</p>
         </div>
         <div class="builder-container">
             <div class="builder-panel">
-                ${renderBuilderStep(1, 'Initial Consonant (\uCD08\uC131)', hangulData.consonants, 'initial')}
-                ${renderBuilderStep(2, 'Vowel (\uC911\uC131)', hangulData.vowels, 'medial')}
+                ${renderBuilderStep(1, t('builder.initial'), hangulData.consonants, 'initial')}
+                ${renderBuilderStep(2, t('builder.medial'), hangulData.vowels, 'medial')}
+                ${renderBuilderStep(3, t('builder.final'), hangulData.finalConsonants, 'final')}
             </div>
             <div>
                 <div class="builder-preview" id="builder-preview">
-                    <div class="syllable-display" id="syllable-display">
-                        <span class="placeholder-text">Select consonant + vowel</span>
+                    <div class="syllable-display" id="syllable-display" aria-hidden="true">
+                        <span class="placeholder-text">${t('builder.placeholder')}</span>
                     </div>
                     <div class="syllable-components" id="syllable-components"></div>
+                    <div id="block-diagram"></div>
                     <div id="type-indicator"></div>
+                    <div id="batchim-indicator"></div>
                     <div class="builder-actions">
                         <button class="builder-btn primary" id="play-syllable-btn" onclick="playSyllable()" disabled>
                             <svg width="14" height="14" viewBox="0 0 24 24" fill="white"><polygon points="5,3 19,12 5,21"/></svg>
-                            Play Sound
+                            ${t('builder.play')}
                         </button>
-                        <button class="builder-btn danger" onclick="clearBuilder()">Clear</button>
+                        <button class="builder-btn secondary" id="record-syllable-btn" onclick="openSyllableRecorder()" disabled>${t('builder.record')}</button>
+                        <button class="builder-btn danger" onclick="clearBuilder()">${t('builder.clear')}</button>
                     </div>
+                    <div id="builder-six-square">${renderSixSquareGrid()}</div>
                 </div>
             </div>
+        </div>
+        <div class="decomposer">
+            <div class="decomposer-header">
+                <h3>${t('decomposer.title')}</h3>
+                <p>${t('decomposer.intro')}</p>
+            </div>
+            <input type="text" class="decomposer-input" id="decomposer-input" lang="ko"
+                   placeholder="${t('decomposer.placeholder', { example: '\uD55C\uAD6D\uC5B4' })}" autocomplete="off" spellcheck="false">
+            <div class="decomposer-output" id="decomposer-output"></div>
         </div>`;
 
+    const decomposerInput = document.getElementById('decomposer-input');
+    decomposerInput.addEventListener('input', () => renderDecomposition(decomposerInput.value));
+
     // Add click listeners for builder mini-grids
     container.querySelectorAll('.mini-cell').forEach(cell => {
         cell.addEventListener('click', () => handleBuilderCellClick(cell));
-        cell._hasListener = true;
     });
+    initCollapsibles(container);
+    initRovingGrids(container);
 }
 
 function renderBuilderStep(num, title, chars, role) {
@@ -452,8 +593,9 @@ function renderBuilderStep(num, title, chars, role) {
         basicChars = chars.filter(c => c.type === 'basic-vertical' || c.type === 'basic-horizontal');
         extraChars = chars.filter(c => c.type !== 'basic-vertical' && c.type !== 'basic-horizontal');
     } else {
-        basicChars = chars;
-        extraChars = [];
+        // Finals: single consonants up front, double + cluster 받침 under "More"
+        basicChars = chars.filter(c => c.type === 'basic' || c.type === 'aspirated');
+        extraChars = chars.filter(c => c.type === 'double' || c.type === 'compound');
     }
 
     let html = `
@@ -461,15 +603,15 @@ function renderBuilderStep(num, title, chars, role) {
             <div class="step-header">
                 <span class="step-number ${stepClass}">${num}</span>
                 <h3>${title}</h3>
-                ${isOptional ? '<span class="optional-tag">Optional</span>' : ''}
+                ${isOptional ? `<span class="optional-tag">${t('builder.optional')}</span>` : ''}
             </div>
-            <div class="builder-mini-grid">`;
+            <div class="builder-mini-grid" role="group" aria-label="${title}">`;
 
     basicChars.forEach(c => {
         html += `
-            <div class="mini-cell" data-role="${role}" data-char="${c.char}" data-rom="${c.romanization || c.sound || ''}">
+            <div class="mini-cell" role="button" aria-label="${getJamoLabel(c.char, role)}" data-role="${role}" data-char="${c.char}" data-rom="${getJamoRomanization(c.char, role)}">
                 ${c.char}
-                <span class="mini-rom">${c.romanization || c.sound || ''}</span>
+                <span class="mini-rom">${getJamoRomanization(c.char, role)}</span>
             </div>`;
     });
 
@@ -478,18 +620,18 @@ function renderBuilderStep(num, title, chars, role) {
     // Extra chars in collapsible
     if (extraChars.length > 0) {
         html += `<div class="builder-more">
-            <button class="collapse-toggle mini-toggle" onclick="toggleCollapse(this)">
-                More <span class="collapse-count">${extraChars.length}</span>
+            <button class="collapse-toggle mini-toggle">
+                ${t('builder.more')} <span class="collapse-count">${extraChars.length}</span>
                 <span class="collapse-arrow">+</span>
             </button>
             <div class="collapse-content" style="display:none">
-                <div class="builder-mini-grid">`;
+                <div class="builder-mini-grid" role="group" aria-label="${title}, ${t('builder.more')}">`;
 
         extraChars.forEach(c => {
             html += `
-                <div class="mini-cell" data-role="${role}" data-char="${c.char}" data-rom="${c.romanization || c.sound || ''}">
+                <div class="mini-cell" role="button" aria-label="${getJamoLabel(c.char, role)}" data-role="${role}" data-char="${c.char}" data-rom="${getJamoRomanization(c.char, role)}">
                     ${c.char}
-                    <span class="mini-rom">${c.romanization || c.sound || ''}</span>
+                    <span class="mini-rom">${getJamoRomanization(c.char, role)}</span>
                 </div>`;
         });
 
@@ -500,20 +642,24 @@ function renderBuilderStep(num, title, chars, role) {
     return html;
 }
 
-function renderSixSquareGrid() {
+// activeLabel highlights one square, e.g. 'B3' for the syllable in the builder
+function renderSixSquareGrid(activeLabel = null) {
     const grid = hangulData.sixSquareGrid;
     let html = `
         <div class="six-square-ref">
-            <h3>6-Square Syllable Position Guide</h3>
+            <h3>${t('builder.sixSquare')}</h3>
             <div class="six-grid">`;
 
     grid.forEach(cell => {
+        const parts = decomposeSyllable(cell.example);
+        const active = cell.label === activeLabel;
         html += `
-            <div class="six-cell">
+            <div class="six-cell ${active ? 'active' : ''}" data-label="${cell.label}" ${active ? 'aria-current="true"' : ''}>
                 <div class="cell-label">${cell.label}</div>
+                ${renderBlockDiagram(parts.initial, parts.medial, parts.final, 'mini')}
                 <div class="cell-example">${cell.example}</div>
                 <div class="cell-breakdown">${cell.breakdown}</div>
-                <div class="cell-desc">${cell.type}</div>
+                <div class="cell-desc">${localize(cell, 'type')}</div>
             </div>`;
     });
 
@@ -551,24 +697,38 @@ function handleBuilderCellClick(cell) {
         }
         // Sync the vowel grid section
         syncCharGrid('vowel', selectedVowel);
+    } else if (role === 'final') {
+        if (selectedFinal === char) {
+            selectedFinal = null;
+            cell.classList.remove('batchim-sel');
+        } else {
+            step.querySelectorAll('.mini-cell').forEach(c => c.classList.remove('batchim-sel'));
+            selectedFinal = char;
+            cell.classList.add('batchim-sel');
+        }
+        updateBuilder();
+        // A 받침 is only heard at the end of a syllable, so play the whole block when possible
+        if (selectedConsonant && selectedVowel) {
+            playSyllable();
+        } else {
+            playJamo(char);
+        }
+        return;
     }
 
-    // Play the character audio using recorded/TTS audio
-    const cData = hangulData.consonants.find(c => c.char === char);
-    const vData = hangulData.vowels.find(v => v.char === char);
-    if (cData && cData.audioFile) {
-        playAudio(cData.audioFile, char);
-    } else if (vData && vData.audioFile) {
-        playAudio(vData.audioFile, char);
-    } else {
-        speakKorean(char);
-    }
+    playJamo(char);
+    recordPlay(role === 'initial' ? 'consonant' : 'vowel', char);
     updateBuilder();
 }
 
+// Play a single jamo using recorded/TTS audio, falling back to Web Speech
+function playJamo(char) {
+    playAudio('jamo', char);
+}
+
 // Sync builder mini-grid selection from char grid clicks
 function syncBuilderSelection(role, char) {
-    const classMap = { initial: 'selected', medial: 'vowel-sel' };
+    const classMap = { initial: 'selected', medial: 'vowel-sel', final: 'batchim-sel' };
     const cls = classMap[role];
     document.querySelectorAll(`#builder-section .mini-cell[data-role="${role}"]`).forEach(c => {
         c.classList.toggle(cls, c.dataset.char === char);
@@ -595,22 +755,32 @@ function syncCharGrid(type, char) {
 function updateBuilder() {
     const display = document.getElementById('syllable-display');
     const components = document.getElementById('syllable-components');
+    const blockDiagram = document.getElementById('block-diagram');
     const typeIndicator = document.getElementById('type-indicator');
+    const sixSquare = document.getElementById('builder-six-square');
+    const batchimIndicator = document.getElementById('batchim-indicator');
     const playBtn = document.getElementById('play-syllable-btn');
+    const recordBtn = document.getElementById('record-syllable-btn');
 
     if (!display) return;
+    syncRoute(false);
+    syncPressedStates();
 
     if (!selectedConsonant || !selectedVowel) {
-        display.innerHTML = '<span class="placeholder-text">Select consonant + vowel</span>';
+        display.innerHTML = `<span class="placeholder-text">${t('builder.placeholder')}</span>`;
         display.classList.remove('has-content');
         if (components) components.innerHTML = '';
+        if (blockDiagram) blockDiagram.innerHTML = '';
         if (typeIndicator) typeIndicator.innerHTML = '';
+        if (sixSquare) sixSquare.innerHTML = renderSixSquareGrid();
+        if (batchimIndicator) batchimIndicator.innerHTML = '';
         if (playBtn) playBtn.disabled = true;
+        if (recordBtn) recordBtn.disabled = true;
         return;
     }
 
     // Build the syllable using Unicode composition
-    const syllable = composeSyllable(selectedConsonant, selectedVowel, null);
+    const syllable = composeSyllable(selectedConsonant, selectedVowel, selectedFinal);
 
     display.textContent = syllable;
     display.classList.add('has-content');
@@ -618,50 +788,69 @@ function updateBuilder() {
     // Component tags
     let compHtml = `<span class="component-tag initial">${selectedConsonant}</span>`;
     compHtml += ` + <span class="component-tag medial">${selectedVowel}</span>`;
+    if (selectedFinal) compHtml += ` + <span class="component-tag final">${selectedFinal}</span>`;
     compHtml += ` = <strong style="font-size:1.4rem;margin-left:6px">${syllable}</strong>`;
     if (components) components.innerHTML = compHtml;
 
-    // Type indicator
-    const vowelData = hangulData.vowels.find(v => v.char === selectedVowel);
-    if (vowelData && typeIndicator) {
-        const isHorizontal = vowelData.type === 'basic-horizontal' || vowelData.type === 'y-horizontal';
-        if (isHorizontal) {
-            typeIndicator.innerHTML = `<span class="type-indicator type-a">Type A: Vowel goes BELOW consonant</span>`;
-        } else {
-            typeIndicator.innerHTML = `<span class="type-indicator type-b">Type B: Vowel goes to the RIGHT</span>`;
-        }
+    // Block geometry, its shape and the matching square of the 6-square guide
+    if (blockDiagram) blockDiagram.innerHTML = renderBlockDiagram(selectedConsonant, selectedVowel, selectedFinal);
+    if (typeIndicator) typeIndicator.innerHTML = renderTypeIndicator(selectedVowel, selectedFinal);
+    if (sixSquare) {
+        const cell = getSixSquareCell(selectedVowel, selectedFinal);
+        sixSquare.innerHTML = renderSixSquareGrid(cell && cell.label);
+    }
+
+    // 받침 indicator: which of the 7 representative sounds the final is pronounced as
+    if (batchimIndicator) {
+        batchimIndicator.innerHTML = selectedFinal ? renderBatchimSound(selectedFinal) : '';
     }
 
     if (playBtn) playBtn.disabled = false;
+    if (recordBtn) recordBtn.disabled = false;
+
+    const spoken = [selectedConsonant, selectedVowel, selectedFinal].filter(Boolean).join(' + ');
+    announce(`${syllable}, ${romanizePronunciation(getPronunciation(syllable))}: ${spoken}`);
 }
 
+function renderBatchimSound(final) {
+    const finalData = hangulData.finalConsonants.find(f => f.char === final);
+    if (!finalData) return '';
+    const repData = hangulData.batchimConsonants.find(b => b.char === finalData.representative);
+    const sound = repData ? repData.sound : finalData.sound;
+    const note = final === finalData.representative
+        ? t('builder.batchim', { final, sound })
+        : t('builder.batchimLike', { final, representative: finalData.representative, sound });
+    return `<span class="batchim-indicator">${note}</span>`;
+}
+
+// Jamo in Unicode composition order (index = position in the 0xAC00 formula)
+const INITIAL_JAMO = [
+    '\u3131', '\u3132', '\u3134', '\u3137', '\u3138', '\u3139', '\u3141', '\u3142', '\u3143',
+    '\u3145', '\u3146', '\u3147', '\u3148', '\u3149', '\u314a', '\u314b', '\u314c', '\u314d', '\u314e'
+];
+
+const MEDIAL_JAMO = [
+    '\u314f', '\u3150', '\u3151', '\u3152', '\u3153', '\u3154', '\u3155', '\u3156',
+    '\u3157', '\u3158', '\u3159', '\u315a', '\u315b', '\u315c', '\u315d', '\u315e',
+    '\u315f', '\u3160', '\u3161', '\u3162', '\u3163'
+];
+
+const FINAL_JAMO = [
+    '', '\u3131', '\u3132', '\u3133', '\u3134', '\u3135', '\u3136', '\u3137', '\u3139',
+    '\u313a', '\u313b', '\u313c', '\u313d', '\u313e', '\u313f', '\u3140', '\u3141',
+    '\u3142', '\u3144', '\u3145', '\u3146', '\u3147', '\u3148', '\u314a', '\u314b',
+    '\u314c', '\u314d', '\u314e'
+];
+
 function composeSyllable(initial, medial, final) {
     // Korean Unicode syllable composition
     // Syllable = 0xAC00 + (initialIndex * 21 + medialIndex) * 28 + finalIndex
 
-    const initialJamo = [
-        '\u3131', '\u3132', '\u3134', '\u3137', '\u3138', '\u3139', '\u3141', '\u3142', '\u3143',
-        '\u3145', '\u3146', '\u3147', '\u3148', '\u3149', '\u314a', '\u314b', '\u314c', '\u314d', '\u314e'
-    ];
-
-    const medialJamo = [
-        '\u314f', '\u3150', '\u3151', '\u3152', '\u3153', '\u3154', '\u3155', '\u3156',
-        '\u3157', '\u3158', '\u3159', '\u315a', '\u315b', '\u315c', '\u315d', '\u315e',
-        '\u315f', '\u3160', '\u3161', '\u3162', '\u3163'
-    ];
-
-    const finalJamo = [
-        '', '\u3131', '\u3132', '\u3133', '\u3134', '\u3135', '\u3136', '\u3137', '\u3139',
-        '\u313a', '\u313b', '\u313c', '\u313d', '\u313e', '\u313f', '\u3140', '\u3141',
-        '\u3142', '\u3144', '\u3145', '\u3146', '\u3147', '\u3148', '\u314a', '\u314b',
-        '\u314c', '\u314d', '\u314e'
-    ];
-
-    const iIdx = initialJamo.indexOf(initial);
-    const mIdx = medialJamo.indexOf(medial);
+    const iIdx = INITIAL_JAMO.indexOf(initial);
+    const mIdx = MEDIAL_JAMO.indexOf(medial);
     let fIdx = 0;
     if (final) {
-        fIdx = finalJamo.indexOf(final);
+        fIdx = FINAL_JAMO.indexOf(final);
         if (fIdx === -1) fIdx = 0;
     }
 
@@ -673,51 +862,88 @@ function composeSyllable(initial, medial, final) {
     return String.fromCharCode(code);
 }
 
-// Map Korean syllables to TTS filenames (matches generate_tts.py naming)
-// Compute romanized TTS filename for any Korean syllable (no batchim)
-const INITIAL_ROM = ['g','kk','n','d','tt','r','m','b','pp','s','ss','','j','jj','ch','k','t','p','h'];
-const MEDIAL_ROM = ['a','ae','ya','yae','eo','e','yeo','ye','o','wa','wae','oe','yo','u','wo','we','wi','yu','eu','ui','i'];
-
-function getSyllableTtsName(syllable) {
+// Inverse of composeSyllable: split a syllable block into its jamo indices
+function getSyllableIndices(syllable) {
     const code = syllable.charCodeAt(0) - 0xAC00;
     if (code < 0 || code > 11171) return null;
-    const initialIdx = Math.floor(code / (21 * 28));
-    const medialIdx = Math.floor((code % (21 * 28)) / 28);
-    const finalIdx = code % 28;
-    if (finalIdx !== 0) return null; // No TTS files for batchim syllables
-    const cons = INITIAL_ROM[initialIdx];
-    const vowel = MEDIAL_ROM[medialIdx];
-    // ㅇ (silent initial, index 11): use vowel + _syl suffix
-    return cons === '' ? vowel + '_syl' : cons + vowel;
+    return {
+        initialIdx: Math.floor(code / (21 * 28)),
+        medialIdx: Math.floor((code % (21 * 28)) / 28),
+        finalIdx: code % 28
+    };
+}
+
+function decomposeSyllable(syllable) {
+    const idx = getSyllableIndices(syllable);
+    if (!idx) return null;
+    return {
+        initial: INITIAL_JAMO[idx.initialIdx],
+        medial: MEDIAL_JAMO[idx.medialIdx],
+        final: FINAL_JAMO[idx.finalIdx] || null
+    };
 }
 
 function playSyllable() {
     if (!selectedConsonant || !selectedVowel) return;
-    const syllable = composeSyllable(selectedConsonant, selectedVowel, null);
+    const syllable = composeSyllable(selectedConsonant, selectedVowel, selectedFinal);
     const display = document.getElementById('syllable-display');
     display.classList.add('playing-audio');
     setTimeout(() => display.classList.remove('playing-audio'), 800);
-    const ttsName = getSyllableTtsName(syllable);
-    if (ttsName) {
-        playTtsOrFallback('syllables', ttsName, syllable);
-    } else {
-        // Batchim syllables: try word TTS folder, then Web Speech API fallback
-        playTtsOrFallback('words', syllable, syllable);
-    }
+    recordPlay('syllable', syllable);
+    playAudio('syllable', syllable);
+}
+
+function openSyllableRecorder() {
+    if (!selectedConsonant || !selectedVowel) return;
+    openRecorder('syllable', composeSyllable(selectedConsonant, selectedVowel, selectedFinal));
 }
 
 function clearBuilder() {
     selectedConsonant = null;
     selectedVowel = null;
+    selectedFinal = null;
 
     // Clear all selections
-    document.querySelectorAll('.consonant-selected, .vowel-selected, .selected, .vowel-sel').forEach(el => {
-        el.classList.remove('consonant-selected', 'vowel-selected', 'selected', 'vowel-sel');
+    document.querySelectorAll('.consonant-selected, .vowel-selected, .selected, .vowel-sel, .batchim-sel').forEach(el => {
+        el.classList.remove('consonant-selected', 'vowel-selected', 'selected', 'vowel-sel', 'batchim-sel');
     });
 
     updateBuilder();
 }
 
+// ============================================
+// Syllable Decomposer
+// ============================================
+
+function renderDecomposition(text) {
+    const container = document.getElementById('decomposer-output');
+    if (!container) return;
+
+    // Only complete syllable blocks are broken down; spaces split words, anything else is skipped
+    let html = '';
+    Array.from(text).forEach(ch => {
+        if (/\s/.test(ch)) {
+            html += '<div class="decomp-gap"></div>';
+            return;
+        }
+        const parts = decomposeSyllable(ch);
+        if (!parts) return;
+
+        let chips = `<span class="component-tag initial" role="button" tabindex="0" onclick="playJamo('${parts.initial}')">${parts.initial}</span>`;
+        chips += ` + <span class="component-tag medial" role="button" tabindex="0" onclick="playJamo('${parts.medial}')">${parts.medial}</span>`;
+        if (parts.final) chips += ` + <span class="component-tag final" role="button" tabindex="0" onclick="playJamo('${parts.final}')">${parts.final}</span>`;
+
+        html += `
+            <div class="decomp-block">
+                <div class="decomp-syllable" role="button" tabindex="0" onclick="playSyllableChip(this, '${ch}')" title="${t('decomposer.play', { syllable: ch })}">${ch}</div>
+                <div class="decomp-parts">${chips}</div>
+                ${renderTypeIndicator(parts.medial, parts.final)}
+            </div>`;
+    });
+
+    container.innerHTML = html;
+}
+
 // ============================================
 // Word Discovery
 // ============================================
@@ -726,28 +952,20 @@ function renderWordDiscovery() {
     const container = document.getElementById('word-section');
     if (!container || !hangulData) return;
 
-    const categories = Object.keys(hangulData.words);
+    const categories = getWordCategories();
 
     let catHtml = '<div class="word-categories">';
-    const categoryLabels = {
-        greetings: 'Greetings',
-        family: 'Family & People',
-        food: 'Food & Drinks',
-        places: 'Places',
-        body: 'Body',
-        nature: 'Nature & Weather',
-        numbers: 'Numbers',
-        animals: 'Animals',
-        colors: 'Colors',
-        actions: 'Actions',
-        time: 'Time',
-        things: 'Things'
-    };
+    const reviewActive = currentWordCategory === REVIEW_DECK ? 'active' : '';
+    catHtml += `<button class="cat-btn review-btn ${reviewActive}" data-category="${REVIEW_DECK}" onclick="switchWordCategory('${REVIEW_DECK}')">${t('words.due')} <span class="cat-count" id="due-count">${getDueWords().length}</span></button>`;
+    const readableActive = currentWordCategory === READABLE_DECK ? 'active' : '';
+    catHtml += `<button class="cat-btn readable-btn ${readableActive}" data-category="${READABLE_DECK}" onclick="switchWordCategory('${READABLE_DECK}')">${t('learned.readable')} <span class="cat-count" id="readable-count">${getReadableWords().length}</span></button>`;
 
     categories.forEach(cat => {
         const isActive = cat === currentWordCategory ? 'active' : '';
-        catHtml += `<button class="cat-btn ${isActive}" data-category="${cat}" onclick="switchWordCategory('${cat}')">${categoryLabels[cat] || cat}</button>`;
+        const custom = isCustomDeck(cat) ? 'custom-deck' : '';
+        catHtml += `<button class="cat-btn ${custom} ${isActive}" data-category="${cat}" onclick="switchWordCategory('${cat}')">${escapeHtml(getCategoryLabel(cat))}</button>`;
     });
+    catHtml += `<button class="cat-btn deck-edit-btn" onclick="openDeckEditor()">${t('decks.edit')}</button>`;
     catHtml += '</div>';
 
     const gridActive = wordViewMode === 'grid' ? 'active' : '';
@@ -755,13 +973,14 @@ function renderWordDiscovery() {
 
     container.innerHTML = `
         <div class="section-header">
-            <h2>Word Discovery</h2>
-            <p>Browse words or practice with flashcards!</p>
+            <h2>${t('words.title')}</h2>
+            <p>${t('words.intro')}</p>
         </div>
         <div class="word-view-toggle">
-            <button class="wv-btn ${gridActive}" onclick="setWordView('grid')">Browse Words</button>
-            <button class="wv-btn ${fcActive}" onclick="setWordView('flashcard')">Practice Flashcards</button>
+            <button class="wv-btn ${gridActive}" onclick="setWordView('grid')">${t('words.browse')}</button>
+            <button class="wv-btn ${fcActive}" onclick="setWordView('flashcard')">${t('words.practice')}</button>
         </div>
+        ${renderWordSearch()}
         ${catHtml}
         <div class="word-list" id="word-list"></div>
         <div class="encouragement" id="encouragement"></div>`;
@@ -776,41 +995,75 @@ function renderWordDiscovery() {
 
 function setWordView(mode) {
     wordViewMode = mode;
+    syncRoute(true);
     renderWordDiscovery();
 }
 
+// Words for a category button; the due deck is the live review queue
+function getCategoryWords(category) {
+    if (category === REVIEW_DECK) return reviewQueue;
+    if (category === SEARCH_DECK) return getSearchResults();
+    if (category === READABLE_DECK) return getReadableWords();
+    if (isCustomDeck(category)) return getCustomDeckWords(category);
+    return hangulData.words[category] || [];
+}
+
+function getCurrentWords() {
+    return shuffledWords || getCategoryWords(currentWordCategory);
+}
+
+function updateDueCount() {
+    const el = document.getElementById('due-count');
+    if (el) el.textContent = getDueWords().length;
+}
+
 function renderWordGrid() {
     const container = document.getElementById('word-list');
     if (!container || !hangulData) return;
 
-    const words = hangulData.words[currentWordCategory] || [];
-    if (words.length === 0) { container.innerHTML = '<p style="color:var(--text-muted)">No words in this category.</p>'; return; }
+    const words = getCategoryWords(currentWordCategory);
+    // The readable deck lists the nearly readable words after its own
+    const footer = currentWordCategory === READABLE_DECK ? renderNearlyReadable() : '';
+    if (words.length === 0) { container.innerHTML = `<p style="color:var(--text-muted)">${getEmptyDeckMessage()}</p>${footer}`; return; }
+    const searching = currentWordCategory === SEARCH_DECK;
 
     let html = '<div class="word-grid-view">';
     words.forEach(word => {
         const syllableChips = word.syllables.map((syl, j) => {
             const bd = word.breakdown[j];
             const parts = bd ? `${bd.initial}+${bd.vowel}${bd.final ? '+' + bd.final : ''}` : '';
-            return `<span class="wg-chip" onclick="event.stopPropagation(); playSyllableChip(this, '${syl}')" title="${parts}">${syl} <small>${parts}</small></span>`;
+            return `<span class="wg-chip" role="button" tabindex="0" aria-label="${syl}, ${parts}" onclick="event.stopPropagation(); playSyllableChip(this, '${syl}')" title="${parts}">${syl} <small>${parts}</small></span>`;
         }).join('');
 
         html += `
-            <div class="word-grid-card" onclick="playWord('${word.korean}')">
-                <div class="wg-korean">${word.korean}</div>
-                <div class="wg-english">${word.english}</div>
-                <div class="wg-rom">${word.romanization}</div>
+            <div class="word-grid-card" role="button" tabindex="0" aria-label="${escapeHtml(word.korean)}, ${escapeHtml(getMeaning(word))}, ${romanizePronunciation(word.pronunciation)}" onclick="playWord(${jsString(word.korean)})">
+                <div class="wg-korean">${escapeHtml(word.korean)}</div>
+                <div class="wg-english">${escapeHtml(getMeaning(word))}</div>
+                <div class="wg-rom">${romanizePronunciation(word.pronunciation)}</div>
+                ${searching ? `<div class="wg-category">${escapeHtml(getCategoryLabel(getWordCategory(word)))}</div>` : ''}
+                ${renderPronunciation(word.pronunciation)}
                 <div class="wg-breakdown">${syllableChips}</div>
             </div>`;
     });
-    html += '</div>';
+    html += '</div>' + footer;
     container.innerHTML = html;
 }
 
+function getEmptyDeckMessage() {
+    if (currentWordCategory === REVIEW_DECK) return t('words.emptyDue');
+    if (currentWordCategory === SEARCH_DECK) return t('search.none');
+    if (currentWordCategory === READABLE_DECK) return t('learned.none');
+    return isCustomDeck(currentWordCategory) ? t('decks.empty') : t('words.empty');
+}
+
 function switchWordCategory(category) {
     currentWordCategory = category;
     wordCardIdx = 0;
     wordFlipped = false;
     shuffledWords = null;
+    if (category === REVIEW_DECK) startReviewDeck();
+    if (category !== SEARCH_DECK) resetWordSearch();
+    syncRoute(true);
     document.querySelectorAll('.cat-btn').forEach(btn => {
         btn.classList.toggle('active', btn.dataset.category === category);
     });
@@ -822,7 +1075,7 @@ function switchWordCategory(category) {
 }
 
 function toggleFlashcardDirection() {
-    flashcardDirection = flashcardDirection === 'kr-en' ? 'en-kr' : 'kr-en';
+    flashcardDirection = flashcardDirection === 'ko-learner' ? 'learner-ko' : 'ko-learner';
     localStorage.setItem('flashcardDirection', flashcardDirection);
     wordFlipped = false;
     renderWordFlashcards();
@@ -832,8 +1085,8 @@ function renderWordFlashcards() {
     const container = document.getElementById('word-list');
     if (!container || !hangulData) return;
 
-    const words = shuffledWords || hangulData.words[currentWordCategory] || [];
-    if (words.length === 0) { container.innerHTML = ''; return; }
+    const words = getCurrentWords();
+    if (words.length === 0) { container.innerHTML = `<p style="color:var(--text-muted)">${getEmptyDeckMessage()}</p>`; return; }
     if (wordCardIdx >= words.length) wordCardIdx = 0;
 
     const word = words[wordCardIdx];
@@ -843,71 +1096,125 @@ function renderWordFlashcards() {
     const syllableChips = word.syllables.map((syl, j) => {
         const bd = word.breakdown[j];
         const parts = bd ? `${bd.initial}+${bd.vowel}${bd.final ? '+' + bd.final : ''}` : '';
-        return `<div class="syllable-chip" onclick="event.stopPropagation(); playSyllableChip(this, '${syl}')" title="${parts}">
+        return `<div class="syllable-chip" role="button" tabindex="-1" aria-label="${syl}, ${parts}" onclick="event.stopPropagation(); playSyllableChip(this, '${syl}')" title="${parts}">
             <span class="syllable-char">${syl}</span>
             <span class="syllable-parts">${parts}</span>
         </div>`;
     }).join('<span class="syllable-plus">+</span>');
 
     // Direction-aware content
-    const frontContent = flashcardDirection === 'en-kr' ? word.english : word.korean;
-    const backMainContent = flashcardDirection === 'en-kr' ? word.korean : word.english;
-    const dirLabel = flashcardDirection === 'kr-en' ? 'EN → KR' : 'KR → EN';
+    const korean = t('words.korean');
+    const learner = getLanguageName(currentLocale);
+    const meaning = escapeHtml(getMeaning(word));
+    const frontContent = flashcardDirection === 'learner-ko' ? meaning : escapeHtml(word.korean);
+    const backMainContent = flashcardDirection === 'learner-ko' ? escapeHtml(word.korean) : meaning;
+    // The button names the direction it switches to
+    const dirLabel = flashcardDirection === 'ko-learner' ? `${learner} → ${korean}` : `${korean} → ${learner}`;
 
     container.innerHTML = `
         <div class="word-flashcard-area">
-            <div class="word-flashcard" id="word-flashcard" onclick="flipWordCard()">
+            <div class="word-flashcard" id="word-flashcard" role="button" tabindex="0"
+                 aria-label="${t('a11y.flashcard', { front: frontContent })}" onclick="flipWordCard()">
                 <div class="word-flashcard-inner" id="word-flashcard-inner">
                     <div class="word-flashcard-front">
                         <div class="wf-korean">${frontContent}</div>
-                        <button class="wf-play-btn" onclick="event.stopPropagation(); playWord('${word.korean}')" title="Play sound">
+                        <button class="wf-play-btn" tabindex="-1" onclick="event.stopPropagation(); playWord(${jsString(word.korean)})" title="${t('words.play')}">
                             <svg viewBox="0 0 24 24" width="20" height="20"><polygon points="5,3 19,12 5,21" fill="white"/></svg>
                         </button>
                     </div>
-                    <div class="word-flashcard-back">
+                    <div class="word-flashcard-back" aria-hidden="true">
                         <div class="wf-english">${backMainContent}</div>
-                        <div class="wf-romanization">${word.romanization}</div>
+                        <div class="wf-romanization">${romanizePronunciation(word.pronunciation)}</div>
+                        ${renderPronunciation(word.pronunciation)}
                         <div class="wf-syllables">${syllableChips}</div>
                     </div>
                 </div>
             </div>
             <div class="word-fc-controls">
-                <button class="wf-nav-btn" onclick="prevWordCard()" title="Previous">
+                <button class="wf-nav-btn" onclick="prevWordCard()" title="${t('words.previous')}">
                     <svg viewBox="0 0 24 24" width="20" height="20"><polyline points="15,18 9,12 15,6" stroke="currentColor" stroke-width="2.5" fill="none" stroke-linecap="round" stroke-linejoin="round"/></svg>
                 </button>
                 <span class="wf-progress">${wordCardIdx + 1} / ${words.length}</span>
-                <button class="wf-nav-btn" onclick="nextWordCard()" title="Next">
+                <button class="wf-nav-btn" onclick="nextWordCard()" title="${t('words.next')}">
                     <svg viewBox="0 0 24 24" width="20" height="20"><polyline points="9,6 15,12 9,18" stroke="currentColor" stroke-width="2.5" fill="none" stroke-linecap="round" stroke-linejoin="round"/></svg>
                 </button>
             </div>
+            <div class="word-fc-grades" id="word-fc-grades">${renderGradeButtons(word)}</div>
             <div class="word-fc-actions">
-                <button class="wf-action-btn" onclick="shuffleWords()">Shuffle</button>
+                <button class="wf-action-btn" onclick="shuffleWords()">${t('words.shuffle')}</button>
                 <button class="wf-action-btn" onclick="toggleFlashcardDirection()">${dirLabel}</button>
+                <button class="wf-action-btn" onclick="openRecorder('word', ${jsString(word.korean)})">${t('words.record')}</button>
             </div>
         </div>`;
+
+    syncRoute(false);
+
+    // Fetch this card's and the next card's audio now so Play and Next respond instantly
+    preloadAudio('word', word.korean);
+    if (words.length > 1) preloadAudio('word', words[(wordCardIdx + 1) % words.length].korean);
 }
 
 function flipWordCard() {
     wordFlipped = !wordFlipped;
     const inner = document.getElementById('word-flashcard-inner');
     if (inner) inner.classList.toggle('flipped', wordFlipped);
+    const back = document.querySelector('.word-flashcard-back');
+    if (back) {
+        back.setAttribute('aria-hidden', String(!wordFlipped));
+        // The card keeps focus while it turns, so read the answer out
+        if (wordFlipped) {
+            announce(t('a11y.flipped', {
+                answer: back.querySelector('.wf-english').textContent,
+                romanization: back.querySelector('.wf-romanization').textContent
+            }));
+        }
+    }
+    // Grading only makes sense once the answer has been seen
+    const grades = document.getElementById('word-fc-grades');
+    if (grades) grades.classList.toggle('visible', wordFlipped);
+}
+
+function gradeWordCard(grade) {
+    const words = getCurrentWords();
+    const word = words[wordCardIdx];
+    if (!word) return;
+
+    gradeWord(word, grade);
+    recordAnswer('word', getWordKey(word), grade !== 'again');
+    if (currentWordCategory === REVIEW_DECK) {
+        // The next due card slides into the current index
+        advanceReviewQueue(wordCardIdx, grade);
+        updateDueCount();
+        renderWordFlashcards();
+    } else {
+        updateDueCount();
+        nextWordCard();
+    }
 }
 
 function nextWordCard() {
-    const words = shuffledWords || hangulData.words[currentWordCategory] || [];
+    const words = getCurrentWords();
+    if (words.length === 0) return;
     wordCardIdx = (wordCardIdx + 1) % words.length;
     renderWordFlashcards();
 }
 
 function prevWordCard() {
-    const words = shuffledWords || hangulData.words[currentWordCategory] || [];
+    const words = getCurrentWords();
+    if (words.length === 0) return;
     wordCardIdx = (wordCardIdx - 1 + words.length) % words.length;
     renderWordFlashcards();
 }
 
 function shuffleWords() {
-    const original = hangulData.words[currentWordCategory] || [];
-    shuffledWords = [...original].sort(() => Math.random() - 0.5);
+    const original = getCategoryWords(currentWordCategory);
+    const shuffled = [...original].sort(() => Math.random() - 0.5);
+    // The due deck is shuffled in place so grading keeps removing from the same queue
+    if (currentWordCategory === REVIEW_DECK) {
+        reviewQueue = shuffled;
+    } else {
+        shuffledWords = shuffled;
+    }
     wordCardIdx = 0;
     renderWordFlashcards();
 }
@@ -916,85 +1223,47 @@ function playSyllableChip(element, syllable) {
     // Visual feedback
     element.classList.add('playing');
     setTimeout(() => element.classList.remove('playing'), 600);
-    const ttsName = getSyllableTtsName(syllable);
-    if (ttsName) {
-        playTtsOrFallback('syllables', ttsName, syllable);
-    } else {
-        playTtsOrFallback('words', syllable, syllable);
-    }
+    recordPlay('syllable', syllable);
+    playAudio('syllable', syllable);
 }
 
 function playWord(word) {
-    // Look up word filename from data
-    const allWords = Object.values(hangulData.words).flat();
-    const wordData = allWords.find(w => w.korean === word);
-    if (wordData) {
-        const filename = wordData.romanization.replace(/-/g, '');
-        playTtsOrFallback('words', filename, word);
-    } else {
-        playTtsOrFallback('syllables', word, word);
-    }
-}
-
-function playTtsOrFallback(folder, filename, fallbackText) {
-    stopAllAudio();
-    const gen = audioGeneration;
-    const path = 'audio/tts/' + folder + '/' + filename + '.mp3';
-    const a = new Audio(path);
-    a.oncanplaythrough = () => {
-        if (gen !== audioGeneration) { a.pause(); return; }
-        currentAudio = a;
-        a.play().catch(() => { if (gen === audioGeneration) speakKorean(fallbackText); });
-    };
-    a.onerror = () => { if (gen === audioGeneration) speakKorean(fallbackText); };
+    const wordData = getAllWords().find(w => w.korean === word);
+    if (wordData) recordPlay('word', getWordKey(wordData));
+    playAudio(wordData ? 'word' : 'syllable', word);
 }
 
 function toggleCollapse(btn) {
     const content = btn.nextElementSibling;
     const arrow = btn.querySelector('.collapse-arrow');
-    if (content.style.display === 'none') {
-        content.style.display = '';
-        arrow.textContent = '\u2212';
-        // Re-attach click listeners for newly visible cells
-        content.querySelectorAll('.char-cell[data-type="consonant"]').forEach(cell => {
-            if (!cell._hasListener) {
-                cell.addEventListener('click', () => handleConsonantClick(cell));
-                cell._hasListener = true;
-            }
-        });
-        content.querySelectorAll('.char-cell[data-type="vowel"]').forEach(cell => {
-            if (!cell._hasListener) {
-                cell.addEventListener('click', () => handleVowelClick(cell));
-                cell._hasListener = true;
-            }
-        });
-        content.querySelectorAll('.mini-cell').forEach(cell => {
-            if (!cell._hasListener) {
-                cell.addEventListener('click', () => handleBuilderCellClick(cell));
-                cell._hasListener = true;
-            }
-        });
-    } else {
-        content.style.display = 'none';
-        arrow.textContent = '+';
-    }
+    const opening = content.style.display === 'none';
+    content.style.display = opening ? '' : 'none';
+    arrow.textContent = opening ? '\u2212' : '+';
+    btn.setAttribute('aria-expanded', String(opening));
 }
 
+let encouragementTimer = null;
+
 function showRandomEncouragement() {
     const el = document.getElementById('encouragement');
     if (!el || !hangulData) return;
 
-    const messages = hangulData.teachingTips.errorNormalization.messages;
-    const msg = messages[Math.floor(Math.random() * messages.length)];
-    el.textContent = msg;
-
-    // Rotate every 15 seconds
-    setInterval(() => {
-        const newMsg = messages[Math.floor(Math.random() * messages.length)];
-        el.style.opacity = 0;
+    const pick = () => {
+        const lines = localize(hangulData.teachingTips.errorNormalization, 'messages');
+        return lines[Math.floor(Math.random() * lines.length)];
+    };
+    el.textContent = pick();
+
+    // Rotate every 15 seconds (one timer, however often the section is re-rendered)
+    clearInterval(encouragementTimer);
+    encouragementTimer = setInterval(() => {
+        const current = document.getElementById('encouragement');
+        if (!current) return;
+        const newMsg = pick();
+        current.style.opacity = 0;
         setTimeout(() => {
-            el.textContent = newMsg;
-            el.style.opacity = 1;
+            current.textContent = newMsg;
+            current.style.opacity = 1;
         }, 300);
     }, 15000);
 }
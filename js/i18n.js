@@ -0,0 +1,118 @@
+/**
+ * Hangul Explorer - Internationalization
+ * Message catalogs for the interface, per-locale meanings and mnemonics, and the language switcher
+ */
+
+// ============================================
+// State
+// ============================================
+
+const LOCALE_STORAGE_KEY = 'hangul-locale';
+const DEFAULT_LOCALE = 'en';
+// Each locale is named in its own language in the switcher
+const LOCALES = { en: 'English', es: 'Español', vi: 'Tiếng Việt', ja: '日本語' };
+
+let currentLocale = loadLocale();
+let messages = {};        // Catalog for currentLocale (data/i18n/<locale>.json)
+let fallbackMessages = {}; // English catalog, used for keys a translation doesn't have yet
+
+// Saved choice first, then the browser language, then English
+function loadLocale() {
+    const saved = localStorage.getItem(LOCALE_STORAGE_KEY);
+    if (Object.hasOwn(LOCALES, saved)) return saved;
+    const browser = (navigator.language || '').slice(0, 2).toLowerCase();
+    return Object.hasOwn(LOCALES, browser) ? browser : DEFAULT_LOCALE;
+}
+
+async function fetchCatalog(locale) {
+    try {
+        const response = await fetch(`data/i18n/${locale}.json`);
+        if (!response.ok) throw new Error(`Server answered ${response.status}`);
+        return await response.json();
+    } catch (err) {
+        console.error(`Failed to load ${locale} messages:`, err);
+        return {};
+    }
+}
+
+// Never throws: a missing catalog falls back to English, and missing English to the key itself
+async function loadMessages() {
+    const [fallback, catalog] = await Promise.all([
+        fetchCatalog(DEFAULT_LOCALE),
+        currentLocale === DEFAULT_LOCALE ? null : fetchCatalog(currentLocale)
+    ]);
+    fallbackMessages = fallback;
+    messages = catalog || fallback;
+}
+
+// ============================================
+// Lookup
+// ============================================
+
+// t('builder.batchim', { final: 'ㄴ', sound: 'n' }) fills {final} and {sound} in the message
+function t(key, params = {}) {
+    const message = messages[key] ?? fallbackMessages[key] ?? key;
+    return message.replace(/\{(\w+)\}/g, (match, name) => (name in params ? params[name] : match));
+}
+
+function hasMessage(key) {
+    return key in messages || key in fallbackMessages;
+}
+
+// Data objects carry translations as i18n: { es: { field: '...' } }; the untranslated field is English
+function localize(obj, field, englishField = field) {
+    const translated = obj.i18n && obj.i18n[currentLocale] && obj.i18n[currentLocale][field];
+    return translated || obj[englishField];
+}
+
+// A word's gloss in the learner's language (stored as `english` plus i18n.<locale>.meaning)
+function getMeaning(word) {
+    return localize(word, 'meaning', 'english');
+}
+
+function getCategoryLabel(category) {
+    const deck = getCustomDeck(category);
+    if (deck) return deck.name;
+    return hasMessage('category.' + category) ? t('category.' + category) : category;
+}
+
+function getLanguageName(locale) {
+    return LOCALES[locale];
+}
+
+// ============================================
+// Switching Language
+// ============================================
+
+// Static markup in index.html names its message with data-i18n (text) or data-i18n-title
+function applyStaticMessages() {
+    document.documentElement.lang = currentLocale;
+    document.querySelectorAll('[data-i18n]').forEach(el => {
+        el.textContent = t(el.dataset.i18n);
+    });
+    document.querySelectorAll('[data-i18n-title]').forEach(el => {
+        el.title = t(el.dataset.i18nTitle);
+    });
+}
+
+function renderLanguageSwitcher() {
+    const el = document.getElementById('locale-switcher');
+    if (!el) return;
+
+    const options = Object.entries(LOCALES).map(([code, name]) =>
+        `<option value="${code}" ${code === currentLocale ? 'selected' : ''}>${name}</option>`).join('');
+    el.innerHTML = `
+        <select class="locale-select" aria-label="${t('app.language')}" onchange="setLocale(this.value)">${options}</select>`;
+}
+
+async function setLocale(locale) {
+    if (!Object.hasOwn(LOCALES, locale)) return;
+    currentLocale = locale;
+    localStorage.setItem(LOCALE_STORAGE_KEY, locale);
+    await loadMessages();
+
+    applyStaticMessages();
+    renderLanguageSwitcher();
+    renderRomanizationSwitcher();
+    refreshContentViews();
+}
@@ -0,0 +1,177 @@
+/**
+ * Hangul Explorer - Learned Letters
+ * Tracks which consonants and vowels the learner knows (marked on the grids or mastered in
+ * practice) and finds the words they can already read, plus the ones that are nearly readable
+ */
+
+// ============================================
+// State
+// ============================================
+
+const LEARNED_STORAGE_KEY = 'hangul-learned';
+const READABLE_DECK = 'readable'; // Pseudo-category: words spelled only with learned letters
+const LEARNED_MASTERY_LEVEL = 4;  // Heatmap level that counts as learned when auto is on
+const NEARLY_READABLE_LIMIT = 12;
+
+// letters: manual marks, true = learned, false = not learned even if mastered in practice
+let learnedLetters = loadLearnedLetters();
+let markingLearned = false; // While on, clicking a grid cell toggles its mark instead of playing it
+
+function isValidLearnedLetters(data) {
+    return data !== null && typeof data === 'object' && typeof data.auto === 'boolean' &&
+        data.letters !== null && typeof data.letters === 'object' &&
+        Object.values(data.letters).every(v => typeof v === 'boolean');
+}
+
+function loadLearnedLetters() {
+    try {
+        const saved = JSON.parse(localStorage.getItem(LEARNED_STORAGE_KEY));
+        if (isValidLearnedLetters(saved)) return saved;
+    } catch (err) {
+        console.error('Failed to read learned letters:', err);
+    }
+    return { letters: {}, auto: true };
+}
+
+function saveLearnedLetters() {
+    localStorage.setItem(LEARNED_STORAGE_KEY, JSON.stringify(learnedLetters));
+}
+
+// Manual backups are merged letter by letter, the incoming mark winning
+function mergeLearnedLetters(local, incoming) {
+    return { auto: local.auto, letters: { ...local.letters, ...incoming.letters } };
+}
+
+// ============================================
+// Learned Set
+// ============================================
+
+function getLetterKind(char) {
+    return hangulData.vowels.some(v => v.char === char) ? 'vowel' : 'consonant';
+}
+
+function isLetterMastered(char) {
+    return getMasteryLevel(getMastery(getLetterKind(char), char)) >= LEARNED_MASTERY_LEVEL;
+}
+
+function isLetterLearned(char) {
+    if (char in learnedLetters.letters) return learnedLetters.letters[char];
+    return learnedLetters.auto && isLetterMastered(char);
+}
+
+// Letters a word is spelled with; a double 받침 needs both of its letters (읽 = ㅇ ㅣ ㄹ ㄱ)
+function getWordLetters(word) {
+    const letters = new Set();
+    word.breakdown.forEach(bd => {
+        letters.add(bd.initial);
+        letters.add(bd.vowel);
+        if (bd.final) (CLUSTER_PARTS[bd.final] || [bd.final]).forEach(char => letters.add(char));
+    });
+    return [...letters];
+}
+
+function getMissingLetters(word) {
+    return getWordLetters(word).filter(char => !isLetterLearned(char));
+}
+
+function getReadableWords() {
+    return getUniqueWords().filter(word => getMissingLetters(word).length === 0);
+}
+
+// Closest first: fewest letters still to learn, then shortest word
+function getNearlyReadableWords(limit) {
+    return getUniqueWords()
+        .map(word => ({ word, missing: getMissingLetters(word) }))
+        .filter(entry => entry.missing.length > 0)
+        .sort((a, b) => a.missing.length - b.missing.length || a.word.syllables.length - b.word.syllables.length)
+        .slice(0, limit);
+}
+
+// ============================================
+// Marking
+// ============================================
+
+function toggleLearnedLetter(char) {
+    learnedLetters.letters[char] = !isLetterLearned(char);
+    saveLearnedLetters();
+    updateLearnedViews();
+}
+
+function setLearnedAuto(on) {
+    learnedLetters.auto = on;
+    saveLearnedLetters();
+    updateLearnedViews();
+}
+
+function toggleLearnedMarking() {
+    markingLearned = !markingLearned;
+    document.body.classList.toggle('marking-learned', markingLearned);
+    document.querySelectorAll('.learned-mark-btn').forEach(btn => {
+        btn.classList.toggle('active', markingLearned);
+        btn.setAttribute('aria-pressed', String(markingLearned));
+    });
+}
+
+// Marks, counts and the readable deck follow every change without re-rendering the grids
+function updateLearnedViews() {
+    document.querySelectorAll('.char-cell[data-type]').forEach(cell => {
+        const learned = isLetterLearned(cell.dataset.char);
+        cell.classList.toggle('learned', learned);
+        cell.setAttribute('aria-label', getJamoLabel(cell.dataset.char));
+    });
+    document.querySelectorAll('.learned-count[data-kind]').forEach(el => {
+        el.textContent = getLearnedCountText(el.dataset.kind);
+    });
+    const count = document.getElementById('readable-count');
+    if (count) count.textContent = getReadableWords().length;
+    if (currentWordCategory === READABLE_DECK) {
+        if (wordViewMode === 'grid') {
+            renderWordGrid();
+        } else {
+            renderWordFlashcards();
+        }
+    }
+}
+
+// ============================================
+// Rendering
+// ============================================
+
+function getLearnedCountText(kind) {
+    const chars = hangulData[kind === 'vowel' ? 'vowels' : 'consonants'];
+    const learned = chars.filter(c => isLetterLearned(c.char)).length;
+    return t('learned.count', { learned, total: chars.length });
+}
+
+// Toolbar above the consonant and vowel grids
+function renderLearnedToolbar(kind) {
+    return `
+        <div class="learned-toolbar">
+            <button class="learned-mark-btn ${markingLearned ? 'active' : ''}" aria-pressed="${markingLearned}" onclick="toggleLearnedMarking()">${t('learned.mark')}</button>
+            <label class="learned-auto">
+                <input type="checkbox" ${learnedLetters.auto ? 'checked' : ''} onchange="setLearnedAuto(this.checked)">
+                ${t('learned.auto')}
+            </label>
+            <span class="learned-count" data-kind="${kind}">${getLearnedCountText(kind)}</span>
+        </div>`;
+}
+
+// Shown under the readable words: what to learn next to unlock more of them
+function renderNearlyReadable() {
+    const entries = getNearlyReadableWords(NEARLY_READABLE_LIMIT);
+    if (entries.length === 0) return '';
+
+    const rows = entries.map(({ word, missing }) => `
+        <div class="nearly-word" role="button" tabindex="0" onclick="playWord(${jsString(word.korean)})">
+            <span class="nearly-korean">${escapeHtml(word.korean)}</span>
+            <span class="nearly-meaning">${escapeHtml(getMeaning(word))}</span>
+            <span class="nearly-missing">${missing.map(char => `<span class="nearly-letter">${char}</span>`).join('')}</span>
+        </div>`).join('');
+
+    return `
+        <div class="nearly-readable">
+            <h3>${t('learned.nearly')}</h3>
+            <p>${t('learned.nearlyHint')}</p>
+            <div class="nearly-list">${rows}</div>
+        </div>`;
+}
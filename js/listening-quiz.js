@@ -0,0 +1,243 @@
+/**
+ * Hangul Explorer - Listening Quiz
+ * Plays a random jamo and asks the learner to pick it from confusable options
+ */
+
+// ============================================
+// State
+// ============================================
+
+let quizPool = 'consonants'; // 'consonants' or 'vowels'
+let quizChoiceCount = 4;
+let quizTarget = null;
+let quizChoices = [];
+let quizAnswered = false;
+let quizSession = { correct: 0, total: 0 };
+
+// Progress kind for the current pool (answers are stored by progress.js)
+function getQuizKind() {
+    return quizPool === 'consonants' ? 'consonant' : 'vowel';
+}
+
+// ============================================
+// Confusable Sets
+// ============================================
+
+// Plain / aspirated / tense family of a consonant, e.g. ㄱ -> [ㄱ, ㅋ, ㄲ]
+function getConsonantFamily(char) {
+    const charData = hangulData.consonants.find(c => c.char === char);
+    const base = hangulData.consonants.find(c => c.char === (charData.basePair || char));
+    return [base.char, base.aspiratedPair, base.doublePair].filter(Boolean);
+}
+
+function getConfusables(char) {
+    if (quizPool === 'consonants') return getConsonantFamily(char);
+    const related = hangulData.confusableVowels.filter(set => set.includes(char)).flat();
+    return [...new Set([char, ...related])];
+}
+
+// Confusable letters first, then random letters from the same pool to fill the grid
+function buildQuizChoices(target) {
+    const pool = hangulData[quizPool].map(c => c.char);
+    const confusables = shuffleArray(getConfusables(target).filter(c => c !== target));
+    const others = shuffleArray(pool.filter(c => c !== target && !confusables.includes(c)));
+    const distractors = [...confusables, ...others].slice(0, quizChoiceCount - 1);
+    return shuffleArray([target, ...distractors]);
+}
+
+function shuffleArray(arr) {
+    const copy = [...arr];
+    for (let i = copy.length - 1; i > 0; i--) {
+        const j = Math.floor(Math.random() * (i + 1));
+        [copy[i], copy[j]] = [copy[j], copy[i]];
+    }
+    return copy;
+}
+
+// Letters the learner keeps missing come up more often
+function pickQuizTarget() {
+    const pool = hangulData[quizPool].map(c => c.char).filter(c => c !== quizTarget);
+    const weights = pool.map(c => {
+        const s = getItemProgress(getQuizKind(), c);
+        return 1 + (s ? s.attempts - s.correct : 0);
+    });
+    let r = Math.random() * weights.reduce((a, b) => a + b, 0);
+    for (let i = 0; i < pool.length; i++) {
+        r -= weights[i];
+        if (r < 0) return pool[i];
+    }
+    return pool[pool.length - 1];
+}
+
+// ============================================
+// Rendering
+// ============================================
+
+function renderListeningQuiz() {
+    const container = document.getElementById('quiz-section');
+    if (!container || !hangulData) return;
+
+    const poolBtn = (pool, label) =>
+        `<button class="wv-btn ${quizPool === pool ? 'active' : ''}" onclick="setQuizPool('${pool}')">${label}</button>`;
+    const countBtn = n =>
+        `<button class="wv-btn ${quizChoiceCount === n ? 'active' : ''}" onclick="setQuizChoiceCount(${n})">${t('quiz.choices', { count: n })}</button>`;
+
+    container.innerHTML = `
+        <div class="section-header">
+            <h2>${t('quiz.title')}</h2>
+            <p>${t('quiz.intro')}</p>
+        </div>
+        <div class="quiz-toolbar">
+            <div class="word-view-toggle">${poolBtn('consonants', t('nav.consonants'))}${poolBtn('vowels', t('nav.vowels'))}</div>
+            <div class="word-view-toggle">${countBtn(4)}${countBtn(6)}</div>
+        </div>
+        <div class="quiz-card">
+            <div id="quiz-question"></div>
+            <div class="quiz-score" id="quiz-score"></div>
+        </div>
+        <div class="quiz-stats" id="quiz-stats"></div>`;
+
+    renderQuizQuestion();
+    renderQuizStats();
+}
+
+function renderQuizQuestion() {
+    const container = document.getElementById('quiz-question');
+    if (!container) return;
+
+    if (!quizTarget) {
+        container.innerHTML = `
+            <button class="builder-btn primary quiz-start-btn" onclick="nextQuizQuestion()">
+                <svg width="14" height="14" viewBox="0 0 24 24" fill="white"><polygon points="5,3 19,12 5,21"/></svg>
+                ${t('quiz.start')}
+            </button>`;
+        renderQuizScore();
+        return;
+    }
+
+    const choicesHtml = quizChoices.map(c => `
+        <div class="char-cell quiz-choice" role="button" data-char="${c}" onclick="answerQuiz('${c}')">
+            <div class="char-main">${c}</div>
+        </div>`).join('');
+
+    container.innerHTML = `
+        <button class="quiz-play-btn" onclick="playQuizSound()" title="${t('quiz.playAgain')}">
+            <svg viewBox="0 0 24 24" width="28" height="28"><polygon points="5,3 19,12 5,21" fill="white"/></svg>
+        </button>
+        <div class="quiz-choices quiz-choices-${quizChoices.length}">${choicesHtml}</div>
+        <div class="quiz-feedback" id="quiz-feedback" aria-live="polite"></div>
+        <div class="builder-actions">
+            <button class="builder-btn primary" id="quiz-next-btn" onclick="nextQuizQuestion()" ${quizAnswered ? '' : 'disabled'}>${t('quiz.next')}</button>
+        </div>`;
+    initRovingGrids(container);
+    renderQuizScore();
+}
+
+function renderQuizScore() {
+    const el = document.getElementById('quiz-score');
+    if (!el) return;
+    const { correct, total } = quizSession;
+    el.textContent = total === 0 ? '' : t('quiz.session', { correct, total, percent: Math.round(correct / total * 100) });
+}
+
+// Per-character accuracy for the current pool, weakest first
+function renderQuizStats() {
+    const container = document.getElementById('quiz-stats');
+    if (!container) return;
+
+    const rows = hangulData[quizPool]
+        .map(c => ({ char: c.char, rom: romanizeJamo(c.char), stats: getItemProgress(getQuizKind(), c.char) }))
+        .filter(r => r.stats && r.stats.attempts > 0)
+        .sort((a, b) => a.stats.correct / a.stats.attempts - b.stats.correct / b.stats.attempts);
+
+    if (rows.length === 0) {
+        container.innerHTML = '';
+        return;
+    }
+
+    container.innerHTML = `
+        <h3>${t('quiz.accuracy')}</h3>
+        <div class="quiz-stat-grid">
+            ${rows.map(r => {
+                const pct = Math.round(r.stats.correct / r.stats.attempts * 100);
+                const level = pct >= 80 ? 'good' : pct >= 50 ? 'ok' : 'weak';
+                return `<div class="quiz-stat ${level}" title="${t('quiz.statTitle', { correct: r.stats.correct, attempts: r.stats.attempts })}">
+                    <span class="quiz-stat-char">${r.char}</span>
+                    <span class="quiz-stat-rom">${r.rom}</span>
+                    <span class="quiz-stat-pct">${pct}%</span>
+                </div>`;
+            }).join('')}
+        </div>`;
+}
+
+// ============================================
+// Quiz Flow
+// ============================================
+
+function setQuizPool(pool) {
+    quizPool = pool;
+    quizTarget = null;
+    quizAnswered = false;
+    renderListeningQuiz();
+}
+
+function setQuizChoiceCount(n) {
+    quizChoiceCount = n;
+    quizTarget = null;
+    quizAnswered = false;
+    renderListeningQuiz();
+}
+
+function nextQuizQuestion() {
+    quizTarget = pickQuizTarget();
+    quizChoices = buildQuizChoices(quizTarget);
+    quizAnswered = false;
+    renderQuizQuestion();
+    // The Start/Next button was just replaced, so keep keyboard focus in the quiz
+    const firstChoice = document.querySelector('.quiz-choice');
+    if (firstChoice) firstChoice.focus();
+    playQuizSound();
+    // After answering, the choices are played for comparison
+    quizChoices.filter(c => c !== quizTarget).forEach(c => preloadAudio('jamo', c));
+}
+
+function playQuizSound() {
+    if (!quizTarget) return;
+    playAudio('jamo', quizTarget, { compare: false });
+}
+
+function answerQuiz(char) {
+    // After answering, options become a sound board for comparing the minimal pair
+    if (quizAnswered) {
+        playJamo(char);
+        return;
+    }
+
+    quizAnswered = true;
+    const correct = char === quizTarget;
+    quizSession.total++;
+    if (correct) quizSession.correct++;
+
+    recordAnswer(getQuizKind(), quizTarget, correct);
+    updateLearnedViews(); // A letter may just have been mastered
+
+    document.querySelectorAll('.quiz-choice').forEach(cell => {
+        if (cell.dataset.char === quizTarget) cell.classList.add('quiz-correct');
+        else if (cell.dataset.char === char) cell.classList.add('quiz-wrong');
+    });
+
+    const target = hangulData[quizPool].find(c => c.char === quizTarget);
+    const picked = hangulData[quizPool].find(c => c.char === char);
+    const feedback = document.getElementById('quiz-feedback');
+    if (feedback) {
+        feedback.className = 'quiz-feedback ' + (correct ? 'correct' : 'wrong');
+        feedback.innerHTML = correct
+            ? t('quiz.correct', { char: target.char, rom: romanizeJamo(target.char) })
+            : t('quiz.wrong', { char: target.char, rom: romanizeJamo(target.char), picked: picked.char, pickedRom: romanizeJamo(picked.char) });
+    }
+
+    const nextBtn = document.getElementById('quiz-next-btn');
+    if (nextBtn) nextBtn.disabled = false;
+    renderQuizScore();
+    renderQuizStats();
+}
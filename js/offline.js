@@ -0,0 +1,108 @@
+/**
+ * Hangul Explorer - Offline Mode
+ * Registers the service worker and downloads every audio clip into the cache with a progress indicator
+ */
+
+// ============================================
+// State
+// ============================================
+
+const AUDIO_CACHE = 'hangul-audio-v1'; // Must match sw.js
+const OFFLINE_CONCURRENCY = 4;
+
+// 'unsupported' | 'checking' | 'downloading' | 'ready' | 'incomplete'
+let offlineState = { status: 'checking', done: 0, total: 0, failed: 0 };
+
+function registerServiceWorker() {
+    if (!('serviceWorker' in navigator) || !window.caches) {
+        offlineState.status = 'unsupported';
+        renderOfflineStatus();
+        return;
+    }
+    navigator.serviceWorker.register('sw.js')
+        .catch(err => console.error('Service worker registration failed:', err));
+}
+
+// ============================================
+// Audio Pre-caching
+// ============================================
+
+// The clip this browser would actually play for every manifest entry
+function getPrecacheAudioFiles() {
+    const files = new Set();
+    Object.keys(AUDIO_GROUPS).forEach(kind => {
+        Object.keys(audioManifest[AUDIO_GROUPS[kind]]).forEach(text => {
+            const source = resolveAudio(kind, text);
+            if (source) files.add(source.src);
+        });
+    });
+    return [...files];
+}
+
+async function precacheAudio() {
+    if (['unsupported', 'downloading'].includes(offlineState.status) || !audioManifest) return;
+
+    const cache = await caches.open(AUDIO_CACHE);
+    const cached = new Set((await cache.keys()).map(req => new URL(req.url).pathname));
+    const base = new URL('.', window.location.href).pathname;
+    const files = getPrecacheAudioFiles();
+    const missing = files.filter(path => !cached.has(base + path));
+    const total = files.length;
+
+    offlineState = { status: 'downloading', done: total - missing.length, total, failed: 0 };
+    renderOfflineStatus();
+
+    // A few downloads at a time keeps the page responsive on a weak connection
+    const queue = [...missing];
+    const worker = async () => {
+        while (queue.length > 0) {
+            const path = queue.shift();
+            try {
+                const response = await fetch(path);
+                if (!response.ok) throw new Error(`HTTP ${response.status}`);
+                await cache.put(path, response);
+            } catch (err) {
+                offlineState.failed++;
+                console.warn(`Could not cache ${path}:`, err);
+            }
+            offlineState.done++;
+            renderOfflineStatus();
+        }
+    };
+    await Promise.all(Array.from({ length: OFFLINE_CONCURRENCY }, worker));
+
+    offlineState.status = offlineState.failed === 0 ? 'ready' : 'incomplete';
+    renderOfflineStatus();
+}
+
+// ============================================
+// Status Indicator
+// ============================================
+
+function renderOfflineStatus() {
+    const el = document.getElementById('offline-status');
+    if (!el) return;
+
+    const { status, done, total, failed } = offlineState;
+    const pct = total === 0 ? 0 : Math.round(done / total * 100);
+    const views = {
+        unsupported: '',
+        checking: '',
+        downloading: `
+            <span class="offline-label">${t('offline.saving', { percent: pct })}</span>
+            <span class="offline-bar"><span style="width:${pct}%"></span></span>`,
+        ready: `<span class="offline-label">${t('offline.ready')}</span>`,
+        incomplete: `
+            <span class="offline-label" title="${t('offline.failed', { failed, total })}">${t('offline.incomplete', { saved: total - failed, total })}</span>
+            <button class="offline-retry" onclick="precacheAudio()">${t('offline.retry')}</button>`
+    };
+
+    el.className = 'offline-status ' + status;
+    el.innerHTML = views[status];
+}
+
+// Called once the audio manifest has loaded, since it lists the clips to fetch
+function initOfflineMode() {
+    registerServiceWorker();
+    precacheAudio();
+}
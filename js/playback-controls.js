@@ -0,0 +1,146 @@
+/**
+ * Hangul Explorer - Playback Controls
+ * Global playback bar: speed, repeat/loop and an A/B list for comparing minimal pairs
+ */
+
+// ============================================
+// State
+// ============================================
+
+const PLAYBACK_STORAGE_KEY = 'hangul-playback';
+const PLAYBACK_RATES = [0.5, 0.75, 1, 1.25];
+const PLAYBACK_REPEATS = [1, 2, 3, 5, 0]; // 0 = loop until stopped
+const COMPARE_LIMIT = 4;
+
+// { rate, repeat, gap (seconds between items and repeats) }
+let playbackSettings = loadPlaybackSettings();
+let compareMode = false;
+let compareItems = []; // [{ kind, text }] collected while A/B mode is on
+
+function loadPlaybackSettings() {
+    const defaults = { rate: 1, repeat: 1, gap: 0.6 };
+    try {
+        const saved = JSON.parse(localStorage.getItem(PLAYBACK_STORAGE_KEY)) || {};
+        return {
+            rate: PLAYBACK_RATES.includes(saved.rate) ? saved.rate : defaults.rate,
+            repeat: PLAYBACK_REPEATS.includes(saved.repeat) ? saved.repeat : defaults.repeat,
+            gap: typeof saved.gap === 'number' ? Math.min(2, Math.max(0, saved.gap)) : defaults.gap
+        };
+    } catch (err) {
+        console.error('Failed to read playback settings:', err);
+        return defaults;
+    }
+}
+
+function savePlaybackSettings() {
+    localStorage.setItem(PLAYBACK_STORAGE_KEY, JSON.stringify(playbackSettings));
+}
+
+// ============================================
+// A/B Comparison
+// ============================================
+
+// Called by playAudio: while A/B mode is on, every sound the learner plays joins the list
+function addToComparison(kind, text) {
+    if (!compareMode || compareItems.some(item => item.text === text)) return;
+    compareItems.push({ kind, text });
+    if (compareItems.length > COMPARE_LIMIT) compareItems.shift();
+    renderPlaybackBar();
+}
+
+function removeFromComparison(idx) {
+    compareItems.splice(idx, 1);
+    renderPlaybackBar();
+}
+
+function toggleCompareMode() {
+    compareMode = !compareMode;
+    renderPlaybackBar();
+}
+
+function playComparison() {
+    if (compareItems.length === 0) return;
+    stopAllAudio();
+    const gen = audioGeneration;
+    highlightComparison(true);
+    playSequence(compareItems, gen).then(() => {
+        if (gen === audioGeneration) highlightComparison(false);
+    });
+}
+
+function stopPlayback() {
+    stopAllAudio();
+    highlightComparison(false);
+}
+
+function highlightComparison(playing) {
+    const list = document.querySelector('.pb-compare-list');
+    if (list) list.classList.toggle('playing', playing);
+}
+
+// ============================================
+// Settings
+// ============================================
+
+function setPlaybackRate(rate) {
+    playbackSettings.rate = rate;
+    savePlaybackSettings();
+    // Apply to a clip that is already playing, so teachers can slow down mid-demo
+    if (currentAudio) currentAudio.playbackRate = rate;
+    renderPlaybackBar();
+}
+
+function setPlaybackRepeat(repeat) {
+    playbackSettings.repeat = repeat;
+    savePlaybackSettings();
+    renderPlaybackBar();
+}
+
+function setPlaybackGap(value) {
+    playbackSettings.gap = Number(value);
+    savePlaybackSettings();
+    const label = document.getElementById('pb-gap-value');
+    if (label) label.textContent = playbackSettings.gap.toFixed(1) + 's';
+}
+
+// ============================================
+// Rendering
+// ============================================
+
+function renderPlaybackBar() {
+    const bar = document.getElementById('playback-bar');
+    if (!bar) return;
+
+    const { rate, repeat, gap } = playbackSettings;
+    const rateBtns = PLAYBACK_RATES.map(r =>
+        `<button class="pb-opt ${r === rate ? 'active' : ''}" onclick="setPlaybackRate(${r})">${r}&times;</button>`).join('');
+    const repeatBtns = PLAYBACK_REPEATS.map(n =>
+        `<button class="pb-opt ${n === repeat ? 'active' : ''}" onclick="setPlaybackRepeat(${n})">${n === 0 ? t('playback.loop') : n + '&times;'}</button>`).join('');
+
+    const chips = compareItems.map((item, i) => `
+        <span class="pb-chip">
+            <span class="pb-chip-label">${String.fromCharCode(65 + i)}</span>${escapeHtml(item.text)}
+            <button class="pb-chip-remove" onclick="removeFromComparison(${i})" title="${t('playback.remove')}">&times;</button>
+        </span>`).join('');
+
+    const compareHtml = compareMode ? `
+        <div class="pb-group pb-compare">
+            <span class="pb-compare-list">${chips || `<span class="pb-hint">${t('playback.compareHint')}</span>`}</span>
+            <label class="pb-gap">${t('playback.gap')}
+                <input type="range" min="0" max="2" step="0.1" value="${gap}" oninput="setPlaybackGap(this.value)">
+                <span id="pb-gap-value">${gap.toFixed(1)}s</span>
+            </label>
+            <button class="pb-play" onclick="playComparison()" ${compareItems.length < 2 ? 'disabled' : ''}>${t('playback.playCompare')}</button>
+        </div>` : '';
+
+    bar.innerHTML = `
+        <div class="pb-inner">
+            <div class="pb-group"><span class="pb-label">${t('playback.speed')}</span>${rateBtns}</div>
+            <div class="pb-group"><span class="pb-label">${t('playback.repeat')}</span>${repeatBtns}</div>
+            <button class="pb-opt pb-ab ${compareMode ? 'active' : ''}" onclick="toggleCompareMode()">A/B</button>
+            <button class="pb-stop" onclick="stopPlayback()" title="${t('playback.stop')}">
+                <svg viewBox="0 0 24 24" width="12" height="12"><rect x="5" y="5" width="14" height="14" rx="2" fill="currentColor"/></svg>
+            </button>
+            ${compareHtml}
+        </div>`;
+}
@@ -0,0 +1,195 @@
+/**
+ * Hangul Explorer - Print Sheets
+ * Lays out printable letter charts, the 6-square position guide, double-sided word flashcards
+ * and jamo tracing rows, previewed on screen and printed with the browser's print dialog
+ */
+
+// ============================================
+// State
+// ============================================
+
+const PRINT_CARDS_PER_PAGE = 8;    // 2 columns x 4 rows of cut-out cards
+const PRINT_CARD_COLUMNS = 2;
+const PRINT_TRACE_COPIES = 3;      // Grey copies to trace over after the model, before the empty boxes
+const PRINT_TRACE_BOXES = 8;       // Boxes per tracing row, model included
+
+// Letter sets offered for tracing, named by the grid group labels
+const PRINT_TRACE_SETS = {
+    'consonants-basic': { label: 'consonants.basic', pick: data => data.consonants.filter(c => c.type === 'basic') },
+    'consonants-more': { label: 'consonants.more', pick: data => data.consonants.filter(c => c.type !== 'basic') },
+    'vowels-basic': { label: 'vowels.basic', pick: data => data.vowels.filter(v => v.type.startsWith('basic')) },
+    'vowels-more': { label: 'vowels.more', pick: data => data.vowels.filter(v => !v.type.startsWith('basic')) }
+};
+
+const printOptions = {
+    consonants: true,
+    vowels: true,
+    sixSquare: true,
+    flashcards: false,
+    flashcardCategory: null,
+    tracing: false,
+    tracingSet: 'consonants-basic'
+};
+
+// ============================================
+// Controls
+// ============================================
+
+// Rebuilt on entry so new custom decks show up in the flashcard list
+function renderPrintSection() {
+    const container = document.getElementById('print-section');
+    if (!container || !hangulData) return;
+
+    const categories = getWordCategories();
+    if (!categories.includes(printOptions.flashcardCategory)) printOptions.flashcardCategory = categories[0];
+
+    const check = (key, label) => `
+        <label class="print-option">
+            <input type="checkbox" ${printOptions[key] ? 'checked' : ''} onchange="setPrintOption('${key}', this.checked)">
+            ${label}
+        </label>`;
+    const categoryOptions = categories.map(cat =>
+        `<option value="${cat}" ${cat === printOptions.flashcardCategory ? 'selected' : ''}>${escapeHtml(getCategoryLabel(cat))}</option>`).join('');
+    const traceOptions = Object.entries(PRINT_TRACE_SETS).map(([key, set]) =>
+        `<option value="${key}" ${key === printOptions.tracingSet ? 'selected' : ''}>${t(set.label)}</option>`).join('');
+
+    container.innerHTML = `
+        <div class="section-header print-controls">
+            <h2>${t('print.title')}</h2>
+            <p>${t('print.intro')}</p>
+        </div>
+        <div class="print-controls print-options">
+            ${check('consonants', t('print.consonantChart'))}
+            ${check('vowels', t('print.vowelChart'))}
+            ${check('sixSquare', t('print.sixSquare'))}
+            <div class="print-option-row">
+                ${check('flashcards', t('print.flashcards'))}
+                <select class="deck-input" aria-label="${t('print.flashcardDeck')}" onchange="setPrintOption('flashcardCategory', this.value)">${categoryOptions}</select>
+            </div>
+            <div class="print-option-row">
+                ${check('tracing', t('print.tracing'))}
+                <select class="deck-input" aria-label="${t('print.tracingSet')}" onchange="setPrintOption('tracingSet', this.value)">${traceOptions}</select>
+            </div>
+            <button class="builder-btn primary" onclick="printSheets()">${t('print.print')}</button>
+            <p class="print-hint">${t('print.duplexHint')}</p>
+        </div>
+        <div class="print-sheet" id="print-sheet"></div>`;
+
+    renderPrintSheet();
+}
+
+function setPrintOption(key, value) {
+    printOptions[key] = value;
+    renderPrintSheet();
+}
+
+// Only the sheet is printed (see the print styles); the class is dropped once the dialog closes
+function printSheets() {
+    document.body.classList.add('printing-sheets');
+    window.addEventListener('afterprint', () => document.body.classList.remove('printing-sheets'), { once: true });
+    window.print();
+}
+
+// ============================================
+// Sheet
+// ============================================
+
+function renderPrintSheet() {
+    const sheet = document.getElementById('print-sheet');
+    if (!sheet) return;
+
+    const pages = [];
+    if (printOptions.consonants) pages.push(renderPrintChart(t('consonants.title'), hangulData.consonants, 'consonant'));
+    if (printOptions.vowels) pages.push(renderPrintChart(t('vowels.title'), hangulData.vowels, 'vowel'));
+    if (printOptions.sixSquare) pages.push(`<div class="print-page">${renderSixSquareGrid()}</div>`);
+    if (printOptions.flashcards) pages.push(...renderPrintFlashcards(getCategoryWords(printOptions.flashcardCategory)));
+    if (printOptions.tracing) pages.push(renderTracingRows(PRINT_TRACE_SETS[printOptions.tracingSet].pick(hangulData)));
+
+    sheet.innerHTML = pages.length > 0 ? pages.join('') : `<p class="print-empty">${t('print.nothing')}</p>`;
+}
+
+// One cell per jamo: the letter, its name and romanization, and the mnemonic in the learner's language
+function renderPrintChart(title, chars, type) {
+    const cells = chars.map(c => `
+        <div class="print-chart-cell ${type} ${c.type}">
+            <div class="print-chart-char">${c.char}</div>
+            <div class="print-chart-name">${c.name} &middot; ${romanizeJamo(c.char)}</div>
+            <div class="print-chart-mnemonic">${c.mnemonic ? localize(c.mnemonic, 'text') : ''}</div>
+        </div>`).join('');
+
+    return `
+        <div class="print-page">
+            <h3 class="print-title">${title}</h3>
+            <div class="print-chart">${cells}</div>
+        </div>`;
+}
+
+// Fronts and backs alternate page by page. Each back row is mirrored so that, printed
+// double-sided (flip on the long edge), every meaning lands behind its own word.
+function renderPrintFlashcards(words) {
+    if (words.length === 0) return [`<div class="print-page"><p class="print-empty">${t('words.empty')}</p></div>`];
+
+    const pages = [];
+    for (let start = 0; start < words.length; start += PRINT_CARDS_PER_PAGE) {
+        const batch = words.slice(start, start + PRINT_CARDS_PER_PAGE);
+        const slots = Array.from({ length: PRINT_CARDS_PER_PAGE }, (_, i) => batch[i] || null);
+
+        const fronts = slots.map(word => `
+            <div class="print-card front">${word ? `<span class="print-card-korean">${escapeHtml(word.korean)}</span>` : ''}</div>`).join('');
+
+        const mirrored = [];
+        for (let row = 0; row < slots.length; row += PRINT_CARD_COLUMNS) {
+            mirrored.push(...slots.slice(row, row + PRINT_CARD_COLUMNS).reverse());
+        }
+        const backs = mirrored.map(word => `
+            <div class="print-card back">${word ? `
+                <span class="print-card-meaning">${escapeHtml(getMeaning(word))}</span>
+                <span class="print-card-rom">${romanizePronunciation(word.pronunciation)}</span>
+                <span class="print-card-breakdown">${formatBreakdown(word)}</span>` : ''}
+            </div>`).join('');
+
+        pages.push(`<div class="print-page"><div class="print-cards">${fronts}</div></div>`);
+        pages.push(`<div class="print-page"><div class="print-cards">${backs}</div></div>`);
+    }
+    return pages;
+}
+
+// Per jamo: the model with numbered strokes, grey copies to trace, then empty boxes to write freely
+function renderTracingRows(chars) {
+    const rows = chars.filter(c => c.strokes).map(c => {
+        const boxes = Array.from({ length: PRINT_TRACE_BOXES }, (_, i) => {
+            if (i === 0) return renderTraceBox(c.strokes, 'model');
+            return renderTraceBox(c.strokes, i <= PRINT_TRACE_COPIES ? 'ghost' : 'blank');
+        }).join('');
+        return `
+            <div class="trace-row">
+                <div class="trace-row-label">${c.char} <small>${romanizeJamo(c.char)}</small></div>
+                <div class="trace-row-boxes">${boxes}</div>
+            </div>`;
+    }).join('');
+
+    return `
+        <div class="print-page">
+            <h3 class="print-title">${t('print.tracing')}</h3>
+            ${rows}
+        </div>`;
+}
+
+// Same 100x100 stroke paths the stroke-order dialog animates
+function renderTraceBox(strokes, kind) {
+    let content = '';
+    if (kind === 'model') {
+        content = strokes.map(d => `<path class="trace-model" d="${d}"/>`).join('');
+        content += strokes.map((d, i) => {
+            const [x, y] = parseStroke(d)[0];
+            return `<g class="trace-start"><circle cx="${x}" cy="${y}" r="5"/><text x="${x}" y="${y}">${i + 1}</text></g>`;
+        }).join('');
+    } else if (kind === 'ghost') {
+        content = strokes.map(d => `<path class="trace-ghost" d="${d}"/>`).join('');
+    }
+    return `
+        <svg class="trace-box" viewBox="0 0 100 100">
+            <path class="trace-guide" d="M50 0 V100 M0 50 H100"/>
+            ${content}
+        </svg>`;
+}
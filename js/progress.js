@@ -0,0 +1,199 @@
+/**
+ * Hangul Explorer - Learner Progress
+ * Records plays, quiz answers and flashcard results per item and renders the mastery dashboard
+ */
+
+// ============================================
+// State
+// ============================================
+
+const PROGRESS_STORAGE_KEY = 'hangul-progress';
+
+// { items: { 'consonant:ㄱ': { plays, attempts, correct, lastPracticed } }, days: ['YYYY-MM-DD', ...] }
+let progressData = loadProgress();
+
+function loadProgress() {
+    try {
+        const saved = JSON.parse(localStorage.getItem(PROGRESS_STORAGE_KEY));
+        if (saved) return saved;
+    } catch (err) {
+        console.error('Failed to read progress:', err);
+    }
+    return { items: {}, days: [] };
+}
+
+function saveProgress() {
+    localStorage.setItem(PROGRESS_STORAGE_KEY, JSON.stringify(progressData));
+}
+
+// ============================================
+// Recording
+// ============================================
+
+function getItemProgress(kind, id) {
+    return progressData.items[kind + ':' + id] || null;
+}
+
+function touchItem(kind, id) {
+    const key = kind + ':' + id;
+    const today = getToday();
+    const item = progressData.items[key] || { plays: 0, attempts: 0, correct: 0, lastPracticed: null };
+    item.lastPracticed = today;
+    progressData.items[key] = item;
+    if (!progressData.days.includes(today)) progressData.days.push(today);
+    return item;
+}
+
+function recordPlay(kind, id) {
+    touchItem(kind, id).plays++;
+    saveProgress();
+}
+
+function recordAnswer(kind, id, correct) {
+    const item = touchItem(kind, id);
+    item.attempts++;
+    if (correct) item.correct++;
+    saveProgress();
+}
+
+// ============================================
+// Mastery & Streaks
+// ============================================
+
+// 0-1 score: accuracy, scaled down until there are enough answers to trust it.
+// Items that were only listened to get a small score; untouched items return null.
+function getMastery(kind, id) {
+    const item = getItemProgress(kind, id);
+    if (!item) return null;
+    if (item.attempts === 0) return item.plays > 0 ? 0.05 : null;
+    const confidence = Math.min(1, item.attempts / 5);
+    return (item.correct / item.attempts) * confidence;
+}
+
+function getMasteryLevel(mastery) {
+    if (mastery === null) return 0;
+    if (mastery < 0.25) return 1;
+    if (mastery < 0.5) return 2;
+    if (mastery < 0.8) return 3;
+    return 4;
+}
+
+function getStreaks() {
+    const days = [...progressData.days].sort();
+    let longest = 0;
+    let run = 0;
+    days.forEach((day, i) => {
+        run = i > 0 && addDays(days[i - 1], 1) === day ? run + 1 : 1;
+        longest = Math.max(longest, run);
+    });
+
+    // The current streak survives until the end of today even if today has no practice yet
+    const today = getToday();
+    const last = days[days.length - 1];
+    const current = last === today || last === addDays(today, -1) ? run : 0;
+    return { current, longest, totalDays: days.length };
+}
+
+// Items with at least one answer, lowest mastery first
+function getWeakestItems(kinds, limit) {
+    return Object.entries(progressData.items)
+        .map(([key, item]) => {
+            const sep = key.indexOf(':');
+            return { kind: key.slice(0, sep), id: key.slice(sep + 1), item };
+        })
+        .filter(e => kinds.includes(e.kind) && e.item.attempts > 0)
+        .map(e => ({ ...e, mastery: getMastery(e.kind, e.id) }))
+        .sort((a, b) => a.mastery - b.mastery || b.item.attempts - a.item.attempts)
+        .slice(0, limit);
+}
+
+// ============================================
+// Dashboard
+// ============================================
+
+function renderProgressDashboard() {
+    const container = document.getElementById('progress-section');
+    if (!container || !hangulData) return;
+
+    const streaks = getStreaks();
+    const letters = [...hangulData.consonants.map(c => ['consonant', c.char]), ...hangulData.vowels.map(v => ['vowel', v.char])];
+    const lettersPracticed = letters.filter(([kind, char]) => getItemProgress(kind, char)).length;
+    const allWords = getAllWords();
+    const wordsPracticed = allWords.filter(w => getItemProgress('word', getWordKey(w))).length;
+
+    container.innerHTML = `
+        <div class="section-header">
+            <h2>${t('progress.title')}</h2>
+            <p>${t('progress.intro')}</p>
+        </div>
+        ${renderBackupControls()}
+        <div class="progress-summary">
+            ${renderSummaryCard(streaks.current, t('progress.streak'), t('progress.streakDetail'))}
+            ${renderSummaryCard(streaks.longest, t('progress.longest'), t('progress.longestDetail', { count: streaks.totalDays }))}
+            ${renderSummaryCard(`${lettersPracticed}/${letters.length}`, t('progress.letters'), t('progress.lettersDetail'))}
+            ${renderSummaryCard(`${wordsPracticed}/${allWords.length}`, t('progress.words'), t('progress.wordsDetail'))}
+        </div>
+        <div class="progress-heatmaps">
+            ${renderHeatmap(t('nav.consonants'), 'consonant', hangulData.consonants)}
+            ${renderHeatmap(t('nav.vowels'), 'vowel', hangulData.vowels)}
+        </div>
+        <div class="heatmap-legend">
+            <span><i class="heat-0"></i>${t('progress.level0')}</span>
+            <span><i class="heat-1"></i>${t('progress.level1')}</span>
+            <span><i class="heat-2"></i>${t('progress.level2')}</span>
+            <span><i class="heat-3"></i>${t('progress.level3')}</span>
+            <span><i class="heat-4"></i>${t('progress.level4')}</span>
+        </div>
+        <div class="progress-weakest">
+            ${renderWeakestList(t('progress.weakestLetters'), getWeakestItems(['consonant', 'vowel'], 10))}
+            ${renderWeakestList(t('progress.weakestWords'), getWeakestItems(['word'], 10))}
+        </div>`;
+}
+
+function renderSummaryCard(value, label, detail) {
+    return `
+        <div class="progress-card">
+            <div class="progress-card-value">${value}</div>
+            <div class="progress-card-label">${label}</div>
+            <div class="progress-card-detail">${detail}</div>
+        </div>`;
+}
+
+function renderHeatmap(title, kind, chars) {
+    const cells = chars.map(c => {
+        const item = getItemProgress(kind, c.char);
+        const mastery = getMastery(kind, c.char);
+        const tip = item
+            ? t('progress.heatTip', { char: c.char, correct: item.correct, attempts: item.attempts, plays: item.plays })
+            : t('progress.heatTipNone', { char: c.char });
+        return `<div class="heat-cell heat-${getMasteryLevel(mastery)}" title="${tip}">
+            <span class="heat-char">${c.char}</span>
+            <span class="heat-rom">${romanizeJamo(c.char)}</span>
+        </div>`;
+    }).join('');
+
+    return `
+        <div class="heatmap">
+            <h3>${title}</h3>
+            <div class="heatmap-grid">${cells}</div>
+        </div>`;
+}
+
+function renderWeakestList(title, entries) {
+    const rows = entries.map(e => {
+        // Word keys are "korean|english" (see getWordKey)
+        const [label, gloss] = e.id.split('|');
+        const pct = Math.round(e.item.correct / e.item.attempts * 100);
+        return `<li>
+            <span class="weak-label">${escapeHtml(label)}</span>
+            ${gloss ? `<span class="weak-gloss">${escapeHtml(gloss)}</span>` : ''}
+            <span class="weak-score heat-${getMasteryLevel(e.mastery)}">${t('progress.weakScore', { percent: pct, attempts: e.item.attempts })}</span>
+        </li>`;
+    }).join('');
+
+    return `
+        <div class="weakest-list">
+            <h3>${title}</h3>
+            ${rows ? `<ol>${rows}</ol>` : `<p class="weakest-empty">${t('progress.weakestEmpty')}</p>`}
+        </div>`;
+}
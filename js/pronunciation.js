@@ -0,0 +1,242 @@
+/**
+ * Hangul Explorer - Pronunciation Rules
+ * Turns a written word into its spoken form (표준 발음) and a Revised Romanization rendering
+ */
+
+// ============================================
+// Rule Tables
+// ============================================
+
+const PRONUNCIATION_RULES = {
+    palatalization: { label: 'rules.palatalization', korean: '구개음화', description: 'rules.palatalizationHint' },
+    hDeletion: { label: 'rules.hDeletion', korean: 'ㅎ 탈락', description: 'rules.hDeletionHint' },
+    aspiration: { label: 'rules.aspiration', korean: '격음화', description: 'rules.aspirationHint' },
+    liaison: { label: 'rules.liaison', korean: '연음', description: 'rules.liaisonHint' },
+    simplification: { label: 'rules.simplification', korean: '겹받침', description: 'rules.simplificationHint' },
+    neutralization: { label: 'rules.neutralization', korean: '받침 규칙', description: 'rules.neutralizationHint' },
+    tensification: { label: 'rules.tensification', korean: '경음화', description: 'rules.tensificationHint' },
+    nasalization: { label: 'rules.nasalization', korean: '비음화', description: 'rules.nasalizationHint' },
+    liquidization: { label: 'rules.liquidization', korean: '유음화', description: 'rules.liquidizationHint' }
+};
+
+// Double 받침: [stays in the block, moves on liaison]
+const CLUSTER_PARTS = {
+    'ㄳ': ['ㄱ', 'ㅅ'], 'ㄵ': ['ㄴ', 'ㅈ'], 'ㄶ': ['ㄴ', 'ㅎ'], 'ㄺ': ['ㄹ', 'ㄱ'],
+    'ㄻ': ['ㄹ', 'ㅁ'], 'ㄼ': ['ㄹ', 'ㅂ'], 'ㄽ': ['ㄹ', 'ㅅ'], 'ㄾ': ['ㄹ', 'ㅌ'],
+    'ㄿ': ['ㄹ', 'ㅍ'], 'ㅀ': ['ㄹ', 'ㅎ'], 'ㅄ': ['ㅂ', 'ㅅ']
+};
+
+const ASPIRATED = { 'ㄱ': 'ㅋ', 'ㄲ': 'ㅋ', 'ㅋ': 'ㅋ', 'ㄷ': 'ㅌ', 'ㅅ': 'ㅌ', 'ㅆ': 'ㅌ', 'ㅌ': 'ㅌ', 'ㅈ': 'ㅊ', 'ㅊ': 'ㅊ', 'ㅂ': 'ㅍ', 'ㅍ': 'ㅍ' };
+const TENSED = { 'ㄱ': 'ㄲ', 'ㄷ': 'ㄸ', 'ㅂ': 'ㅃ', 'ㅅ': 'ㅆ', 'ㅈ': 'ㅉ' };
+const NASALIZED = { 'ㄱ': 'ㅇ', 'ㄷ': 'ㄴ', 'ㅂ': 'ㅁ' };
+
+// Verb-stem clusters that tense the next consonant even though they sound like ㄴ/ㄹ/ㅁ (앉다, 젊다, 넓다, 핥다)
+const TENSING_CLUSTERS = ['ㄵ', 'ㄻ', 'ㄼ', 'ㄾ'];
+
+// ============================================
+// Sound-Change Engine
+// ============================================
+
+function getPronunciation(korean) {
+    const words = korean.split(/\s+/).map(deriveSyllables).filter(word => word.length > 0);
+    const written = words.flat();
+    // plainInitial remembers the consonant before tensification - RR does not write tense sounds.
+    // tensedByFinal marks tensing by a hard 받침 (학교 -> [학꾜]), which MR leaves unwritten too.
+    // wordEnd marks the last syllable of each word: sound changes stop at the space.
+    const syls = words.flatMap(word => word.map((ch, j) =>
+        ({ ...decomposeSyllable(ch), plainInitial: null, tensedByFinal: false, wordEnd: j === word.length - 1 })));
+    const fired = [];
+    const fire = (id, syllables) => fired.push({ id, syllables });
+
+    // Rules run in passes over every syllable boundary, in the order of 표준 발음법
+    eachBoundary(syls, (cur, next, i) => applyPalatalization(cur, next, i, fire));
+    eachBoundary(syls, (cur, next, i) => applyHRules(cur, next, i, fire));
+    eachBoundary(syls, (cur, next, i) => applyLiaison(cur, next, i, fire));
+
+    syls.forEach((syl, i) => {
+        syl.writtenFinal = syl.final;
+        if (!syl.final) return;
+        const representative = getRepresentativeFinal(syl.final);
+        if (representative !== syl.final) {
+            fire(CLUSTER_PARTS[syl.final] ? 'simplification' : 'neutralization', [i]);
+            syl.final = representative;
+        }
+    });
+
+    eachBoundary(syls, (cur, next, i) => applyTensification(cur, next, i, fire));
+    eachBoundary(syls, (cur, next, i) => applyNasalization(cur, next, i, fire));
+    eachBoundary(syls, (cur, next, i) => applyLiquidization(cur, next, i, fire));
+
+    const spokenSyllables = syls.map(s => composeSyllable(s.initial, s.medial, s.final));
+
+    return {
+        written: korean,
+        spoken: joinSyllables(syls, spokenSyllables),
+        spokenSyllables,
+        changed: spokenSyllables.map((syl, i) => syl !== written[i]),
+        sounds: syls, // Spoken jamo per syllable, for the romanizers
+        romanization: romanizeRevised(syls),
+        rules: mergeFiredRules(fired)
+    };
+}
+
+// Syllable boundaries inside a word; the gap between two words is left alone
+function eachBoundary(syls, fn) {
+    for (let i = 0; i < syls.length - 1; i++) {
+        if (!syls[i].wordEnd) fn(syls[i], syls[i + 1], i);
+    }
+}
+
+// Joins one string per syllable, with a space wherever a word ends ('한국 사람')
+function joinSyllables(syls, parts, separator = '') {
+    return parts.map((part, i) => (i === 0 ? '' : syls[i - 1].wordEnd ? ' ' : separator) + part).join('');
+}
+
+function getRepresentativeFinal(final) {
+    const finalData = hangulData.finalConsonants.find(f => f.char === final);
+    return finalData ? finalData.representative : final;
+}
+
+// 굳이 -> [구지], 같이 -> [가치]
+function applyPalatalization(cur, next, i, fire) {
+    if (next.initial !== 'ㅇ' || next.medial !== 'ㅣ') return;
+    const map = { 'ㄷ': [null, 'ㅈ'], 'ㅌ': [null, 'ㅊ'], 'ㄾ': ['ㄹ', 'ㅊ'] };
+    if (!map[cur.final]) return;
+    [cur.final, next.initial] = map[cur.final];
+    fire('palatalization', [i, i + 1]);
+}
+
+// 좋다 -> [조타], 좋아 -> [조아], 많이 -> [마니], 축하 -> [추카]
+function applyHRules(cur, next, i, fire) {
+    if (['ㅎ', 'ㄶ', 'ㅀ'].includes(cur.final)) {
+        const remaining = { 'ㅎ': null, 'ㄶ': 'ㄴ', 'ㅀ': 'ㄹ' }[cur.final];
+        if (['ㄱ', 'ㄷ', 'ㅈ'].includes(next.initial)) {
+            next.initial = ASPIRATED[next.initial];
+            cur.final = remaining;
+            fire('aspiration', [i, i + 1]);
+        } else if (next.initial === 'ㅅ') {
+            next.plainInitial = next.initial;
+            next.initial = 'ㅆ';
+            cur.final = remaining;
+            fire('tensification', [i, i + 1]);
+        } else if (next.initial === 'ㅇ') {
+            cur.final = remaining;
+            fire('hDeletion', [i]);
+        } else if (next.initial === 'ㄴ') {
+            // ㅎ alone turns into ㄴ (놓는 -> [논는]); in ㄶ/ㅀ it simply drops out
+            cur.final = remaining || 'ㄴ';
+            fire(remaining ? 'hDeletion' : 'nasalization', [i]);
+        }
+        return;
+    }
+
+    if (next.initial !== 'ㅎ' || !cur.final) return;
+    const parts = CLUSTER_PARTS[cur.final];
+    if (parts) {
+        // 밝히다 -> [발키다]: the second consonant merges with ㅎ, the first stays
+        if (!ASPIRATED[parts[1]] || parts[1] === 'ㅅ') return;
+        cur.final = parts[0];
+        next.initial = ASPIRATED[parts[1]];
+    } else {
+        if (!ASPIRATED[cur.final]) return;
+        next.initial = ASPIRATED[cur.final];
+        cur.final = null;
+    }
+    // 닫히다 -> [다치다]
+    if (next.initial === 'ㅌ' && next.medial === 'ㅣ') next.initial = 'ㅊ';
+    fire('aspiration', [i, i + 1]);
+}
+
+// 한국어 -> [한구거], 닭이 -> [달기], 값이 -> [갑씨]
+function applyLiaison(cur, next, i, fire) {
+    if (!cur.final || cur.final === 'ㅇ' || next.initial !== 'ㅇ') return;
+    const parts = CLUSTER_PARTS[cur.final];
+    if (parts) {
+        cur.final = parts[0];
+        next.initial = parts[1];
+        if (next.initial === 'ㅅ') {
+            next.plainInitial = 'ㅅ';
+            next.initial = 'ㅆ';
+            fire('tensification', [i + 1]);
+        }
+    } else {
+        next.initial = cur.final;
+        cur.final = null;
+    }
+    fire('liaison', [i, i + 1]);
+}
+
+// 학교 -> [학꾜], 앉다 -> [안따]
+function applyTensification(cur, next, i, fire) {
+    if (!TENSED[next.initial]) return;
+    if (!NASALIZED[cur.final] && !TENSING_CLUSTERS.includes(cur.writtenFinal)) return;
+    next.plainInitial = next.initial;
+    next.initial = TENSED[next.initial];
+    next.tensedByFinal = true;
+    fire('tensification', [i + 1]);
+}
+
+// 감사합니다 -> [감사함니다], 종로 -> [종노], 독립 -> [동닙]
+function applyNasalization(cur, next, i, fire) {
+    if (next.initial === 'ㄹ' && ['ㅁ', 'ㅇ', 'ㄱ', 'ㄷ', 'ㅂ'].includes(cur.final)) {
+        next.initial = 'ㄴ';
+        fire('nasalization', [i + 1]);
+    }
+    if (NASALIZED[cur.final] && (next.initial === 'ㄴ' || next.initial === 'ㅁ')) {
+        cur.final = NASALIZED[cur.final];
+        fire('nasalization', [i]);
+    }
+}
+
+// 신라 -> [실라], 설날 -> [설랄]
+function applyLiquidization(cur, next, i, fire) {
+    if (cur.final === 'ㄴ' && next.initial === 'ㄹ') {
+        cur.final = 'ㄹ';
+        fire('liquidization', [i]);
+    } else if (cur.final === 'ㄹ' && next.initial === 'ㄴ') {
+        next.initial = 'ㄹ';
+        fire('liquidization', [i + 1]);
+    }
+}
+
+// One entry per rule, with every syllable it touched
+function mergeFiredRules(fired) {
+    const merged = [];
+    fired.forEach(f => {
+        const existing = merged.find(m => m.id === f.id);
+        if (existing) {
+            f.syllables.forEach(idx => { if (!existing.syllables.includes(idx)) existing.syllables.push(idx); });
+        } else {
+            merged.push({ id: f.id, ...PRONUNCIATION_RULES[f.id], syllables: [...f.syllables] });
+        }
+    });
+    return merged;
+}
+
+// ============================================
+// Written vs. Spoken Display
+// ============================================
+
+function renderPronunciation(pron) {
+    if (!pron || !pron.changed.some(Boolean)) return '';
+
+    // Colour each changed syllable by the last rule that touched it
+    const spoken = joinSyllables(pron.sounds, pron.spokenSyllables.map((syl, i) => {
+        const rule = [...pron.rules].reverse().find(r => r.syllables.includes(i));
+        return pron.changed[i] && rule ? `<mark class="pron-changed rule-${rule.id}">${syl}</mark>` : syl;
+    }));
+
+    const rules = pron.rules.map(r =>
+        `<span class="pron-rule rule-${r.id}" title="${t(r.description)}">${t(r.label)} <small>${r.korean}</small></span>`
+    ).join('');
+
+    return `
+        <div class="pron-compare">
+            <div class="pron-forms">
+                <span class="pron-written">${pron.written}</span>
+                <span class="pron-arrow">→</span>
+                <span class="pron-spoken">[${spoken}]</span>
+            </div>
+            <div class="pron-rules">${rules}</div>
+        </div>`;
+}
@@ -0,0 +1,439 @@
+/**
+ * Hangul Explorer - Record & Compare
+ * Records the learner saying a letter, syllable or word and compares it with the reference clip
+ */
+
+// ============================================
+// State
+// ============================================
+
+const RECORDINGS_DB = 'hangul-recordings';
+const RECORDINGS_STORE = 'recordings';
+const RECORDINGS_PER_ITEM = 10; // Oldest takes are dropped beyond this
+const RECORD_MAX_SECONDS = 5;
+const ENERGY_FRAME = 0.01;      // Seconds per loudness frame
+const ENERGY_POINTS = 60;       // Points compared between two loudness curves
+
+let recorderItem = null;       // { kind, text } shown in the dialog
+let recorderStatus = 'idle';   // 'idle' | 'recording' | 'unsupported' | 'denied'
+let mediaRecorder = null;
+let recordStopTimer = null;
+let recorderTakes = [];        // Saved takes for recorderItem, newest first: { id, createdAt, url, analysis }
+let selectedTakeId = null;
+let referenceAnalysis = null;  // { energy, duration } of the reference clip, null for speech synthesis
+let recordingsDb = null;
+let analysisContext = null;
+
+function isRecordingSupported() {
+    return !!(navigator.mediaDevices && navigator.mediaDevices.getUserMedia && window.MediaRecorder && window.indexedDB);
+}
+
+// ============================================
+// Storage
+// ============================================
+
+// Takes are audio blobs, too big for localStorage, so they live in IndexedDB keyed by item
+function openRecordingsDb() {
+    if (!recordingsDb) {
+        recordingsDb = new Promise((resolve, reject) => {
+            const request = indexedDB.open(RECORDINGS_DB, 1);
+            request.onupgradeneeded = () => {
+                const store = request.result.createObjectStore(RECORDINGS_STORE, { keyPath: 'id', autoIncrement: true });
+                store.createIndex('item', 'item');
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+    return recordingsDb;
+}
+
+function getRecordingKey(kind, text) {
+    return kind + ':' + text;
+}
+
+async function recordingsRequest(mode, makeRequest) {
+    const db = await openRecordingsDb();
+    return new Promise((resolve, reject) => {
+        const request = makeRequest(db.transaction(RECORDINGS_STORE, mode).objectStore(RECORDINGS_STORE));
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+// Oldest first
+function loadRecordings(kind, text) {
+    return recordingsRequest('readonly', store => store.index('item').getAll(getRecordingKey(kind, text)));
+}
+
+async function saveRecording(kind, text, blob) {
+    const item = getRecordingKey(kind, text);
+    await recordingsRequest('readwrite', store => store.add({ item, blob, createdAt: Date.now() }));
+
+    const saved = await loadRecordings(kind, text);
+    const excess = saved.slice(0, Math.max(0, saved.length - RECORDINGS_PER_ITEM));
+    await Promise.all(excess.map(take => deleteRecording(take.id)));
+}
+
+function deleteRecording(id) {
+    return recordingsRequest('readwrite', store => store.delete(id));
+}
+
+// ============================================
+// Analysis
+// ============================================
+
+// Decode a clip into a loudness curve trimmed to the part where something is being said,
+// so a take with a second of silence before it still lines up with the reference
+async function analyzeAudio(arrayBuffer) {
+    const AudioCtx = window.AudioContext || window.webkitAudioContext;
+    if (!AudioCtx) return null;
+    if (!analysisContext) analysisContext = new AudioCtx();
+
+    try {
+        const buffer = await analysisContext.decodeAudioData(arrayBuffer);
+        return getEnergyCurve(buffer.getChannelData(0), buffer.sampleRate);
+    } catch (err) {
+        console.warn('Could not decode audio for comparison:', err);
+        return null;
+    }
+}
+
+function getEnergyCurve(samples, sampleRate) {
+    const frameSize = Math.max(1, Math.round(sampleRate * ENERGY_FRAME));
+    const frames = [];
+    for (let start = 0; start < samples.length; start += frameSize) {
+        let sum = 0;
+        const end = Math.min(samples.length, start + frameSize);
+        for (let i = start; i < end; i++) sum += samples[i] * samples[i];
+        frames.push(Math.sqrt(sum / (end - start)));
+    }
+
+    const peak = Math.max(0, ...frames);
+    if (peak === 0) return { energy: [], duration: 0 };
+
+    // Frames quieter than a tenth of the peak count as silence at either end
+    const threshold = peak * 0.1;
+    const first = frames.findIndex(v => v >= threshold);
+    let last = frames.length - 1;
+    while (last > first && frames[last] < threshold) last--;
+
+    const energy = frames.slice(first, last + 1).map(v => v / peak);
+    return { energy, duration: energy.length * ENERGY_FRAME };
+}
+
+function resampleEnergy(energy, n) {
+    if (energy.length === 0) return Array(n).fill(0);
+    return Array.from({ length: n }, (_, k) => energy[Math.min(energy.length - 1, Math.floor(k * energy.length / n))]);
+}
+
+// ratio: take length / reference length; match: 0-100, how closely the loudness rises and falls
+function compareTakes(reference, take) {
+    const a = resampleEnergy(reference.energy, ENERGY_POINTS);
+    const b = resampleEnergy(take.energy, ENERGY_POINTS);
+    const diff = a.reduce((sum, v, i) => sum + Math.abs(v - b[i]), 0) / ENERGY_POINTS;
+    return {
+        ratio: reference.duration === 0 ? 1 : take.duration / reference.duration,
+        match: Math.round((1 - diff) * 100)
+    };
+}
+
+// ============================================
+// Dialog
+// ============================================
+
+// kind: 'jamo', 'syllable' or 'word' - the same kinds playAudio takes
+async function openRecorder(kind, text) {
+    stopAllAudio();
+    releaseTakes();
+    recorderItem = { kind, text };
+    recorderStatus = isRecordingSupported() ? 'idle' : 'unsupported';
+    referenceAnalysis = null;
+    selectedTakeId = null;
+
+    let modal = document.getElementById('record-modal');
+    if (!modal) {
+        modal = document.createElement('div');
+        modal.id = 'record-modal';
+        modal.className = 'record-modal';
+        modal.addEventListener('click', e => { if (e.target === modal) closeRecorder(); });
+        document.body.appendChild(modal);
+    }
+    modal.classList.add('open');
+    renderRecorder();
+
+    const item = recorderItem;
+    const reference = await loadReferenceAnalysis(kind, text);
+    if (recorderItem !== item) return; // Another item was opened meanwhile
+    referenceAnalysis = reference;
+    if (recorderStatus !== 'unsupported') await refreshTakes();
+    renderRecorder();
+}
+
+function closeRecorder() {
+    const modal = document.getElementById('record-modal');
+    if (modal) modal.classList.remove('open');
+    recorderItem = null;
+    stopRecording();
+    stopAllAudio();
+    releaseTakes();
+}
+
+document.addEventListener('keydown', e => {
+    if (e.key === 'Escape' && recorderItem) closeRecorder();
+});
+
+async function loadReferenceAnalysis(kind, text) {
+    const source = resolveAudio(kind, text);
+    if (!source) return null;
+    try {
+        const response = await fetch(source.src);
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+        return await analyzeAudio(await response.arrayBuffer());
+    } catch (err) {
+        console.warn(`Could not load ${source.src} for comparison:`, err);
+        return null;
+    }
+}
+
+async function refreshTakes() {
+    const item = recorderItem;
+    let saved = [];
+    try {
+        saved = await loadRecordings(item.kind, item.text);
+    } catch (err) {
+        console.error('Failed to load recordings:', err);
+    }
+    const takes = await Promise.all(saved.reverse().map(async take => ({
+        id: take.id,
+        createdAt: take.createdAt,
+        url: URL.createObjectURL(take.blob),
+        analysis: await analyzeAudio(await take.blob.arrayBuffer())
+    })));
+
+    if (recorderItem !== item) {
+        takes.forEach(take => URL.revokeObjectURL(take.url));
+        return;
+    }
+    releaseTakes();
+    recorderTakes = takes;
+    if (!takes.some(take => take.id === selectedTakeId)) selectedTakeId = takes.length > 0 ? takes[0].id : null;
+}
+
+function releaseTakes() {
+    recorderTakes.forEach(take => URL.revokeObjectURL(take.url));
+    recorderTakes = [];
+}
+
+function getSelectedTake() {
+    return recorderTakes.find(take => take.id === selectedTakeId) || null;
+}
+
+// ============================================
+// Recording
+// ============================================
+
+function toggleRecording() {
+    if (recorderStatus === 'recording') stopRecording();
+    else startRecording();
+}
+
+async function startRecording() {
+    if (!recorderItem || !isRecordingSupported()) return;
+    stopAllAudio();
+
+    let stream;
+    try {
+        stream = await navigator.mediaDevices.getUserMedia({ audio: true });
+    } catch (err) {
+        console.warn('Microphone unavailable:', err);
+        recorderStatus = 'denied';
+        renderRecorder();
+        return;
+    }
+
+    const item = recorderItem;
+    const chunks = [];
+    const recorder = new MediaRecorder(stream);
+    recorder.ondataavailable = e => { if (e.data.size > 0) chunks.push(e.data); };
+    recorder.onstop = async () => {
+        stream.getTracks().forEach(track => track.stop());
+        clearTimeout(recordStopTimer);
+        mediaRecorder = null;
+        if (recorderItem !== item) return; // Closed mid-take: discard it
+        recorderStatus = 'idle';
+
+        try {
+            await saveRecording(item.kind, item.text, new Blob(chunks, { type: recorder.mimeType || 'audio/webm' }));
+        } catch (err) {
+            console.error('Failed to save recording:', err);
+        }
+        selectedTakeId = null; // Select the new take
+        await refreshTakes();
+        renderRecorder();
+        playAlternating();
+    };
+
+    mediaRecorder = recorder;
+    recorder.start();
+    recorderStatus = 'recording';
+    recordStopTimer = setTimeout(stopRecording, RECORD_MAX_SECONDS * 1000);
+    renderRecorder();
+}
+
+function stopRecording() {
+    if (mediaRecorder && mediaRecorder.state !== 'inactive') mediaRecorder.stop();
+}
+
+// ============================================
+// Playback
+// ============================================
+
+function playReference() {
+    if (recorderItem) playAudio(recorderItem.kind, recorderItem.text);
+}
+
+function playTake(id) {
+    const take = recorderTakes.find(t => t.id === id);
+    if (!take) return;
+    selectedTakeId = id;
+    renderRecorder();
+    stopAllAudio();
+    playClip({ src: take.url }, audioGeneration);
+}
+
+// Reference, then the learner, using the playback bar's speed, repeat and gap
+function playAlternating() {
+    const take = getSelectedTake();
+    if (!recorderItem || !take) return;
+    stopAllAudio();
+    playSequence([recorderItem, { src: take.url }], audioGeneration);
+}
+
+async function removeTake(id) {
+    try {
+        await deleteRecording(id);
+    } catch (err) {
+        console.error('Failed to delete recording:', err);
+    }
+    await refreshTakes();
+    renderRecorder();
+}
+
+// ============================================
+// Rendering
+// ============================================
+
+function renderRecorder() {
+    const modal = document.getElementById('record-modal');
+    if (!modal || !recorderItem) return;
+
+    const { kind, text } = recorderItem;
+    const take = getSelectedTake();
+    const recording = recorderStatus === 'recording';
+    const notices = {
+        unsupported: t('recorder.unsupported'),
+        denied: t('recorder.denied')
+    };
+
+    modal.innerHTML = `
+        <div class="record-dialog" role="dialog" aria-modal="true" aria-label="${t('recorder.label', { text: escapeHtml(text) })}">
+            <button class="stroke-close" onclick="closeRecorder()" title="${t('recorder.close')}">&times;</button>
+            <div class="stroke-header">
+                <div class="stroke-glyph record-glyph ${kind}">${escapeHtml(text)}</div>
+                <div class="stroke-info">
+                    <h3>${t('builder.record')}</h3>
+                    <p>${t('recorder.intro')}</p>
+                </div>
+            </div>
+            <div class="record-controls">
+                <button class="builder-btn secondary" onclick="playReference()">${t('recorder.listen')}</button>
+                <button class="record-toggle ${recording ? 'recording' : ''}" onclick="toggleRecording()" ${recorderStatus === 'unsupported' ? 'disabled' : ''}>
+                    <span class="record-dot"></span>${recording ? t('recorder.stop') : t('recorder.record')}
+                </button>
+                <button class="builder-btn secondary" onclick="playAlternating()" ${take ? '' : 'disabled'}>${t('recorder.alternate')}</button>
+            </div>
+            ${notices[recorderStatus] ? `<p class="record-notice">${notices[recorderStatus]}</p>` : ''}
+            <div class="record-waves">
+                ${renderWaveRow(t('recorder.reference'), 'record-wave-ref', referenceAnalysis)}
+                ${renderWaveRow(t('recorder.you'), 'record-wave-take', take && take.analysis)}
+            </div>
+            <div class="record-summary">${renderComparisonSummary(take)}</div>
+            ${renderTakeList()}
+        </div>`;
+
+    drawWaveforms(take);
+}
+
+function renderWaveRow(label, id, analysis) {
+    return `
+        <div class="record-wave-row">
+            <span class="record-wave-label">${label}</span>
+            <canvas id="${id}" class="record-wave" width="420" height="56"></canvas>
+            <span class="record-wave-time">${analysis ? analysis.duration.toFixed(2) + 's' : '&ndash;'}</span>
+        </div>`;
+}
+
+function renderComparisonSummary(take) {
+    if (!take) return t('recorder.start', { seconds: RECORD_MAX_SECONDS });
+    if (!referenceAnalysis) return t('recorder.noReference');
+    if (!take.analysis || take.analysis.duration === 0) return t('recorder.silent');
+
+    const { ratio, match } = compareTakes(referenceAnalysis, take.analysis);
+    const pct = Math.round(Math.abs(ratio - 1) * 100);
+    let length = t('recorder.sameLength');
+    if (ratio > 1.25) length = t('recorder.longer', { percent: pct });
+    else if (ratio < 0.8) length = t('recorder.shorter', { percent: pct });
+    return `${t('recorder.match', { percent: match })} ${length}`;
+}
+
+function renderTakeList() {
+    if (recorderTakes.length === 0) return '';
+    const items = recorderTakes.map(take => {
+        const when = new Date(take.createdAt).toLocaleString(currentLocale, { dateStyle: 'medium', timeStyle: 'short' });
+        const score = referenceAnalysis && take.analysis && take.analysis.duration > 0
+            ? compareTakes(referenceAnalysis, take.analysis).match + '%' : '';
+        return `
+            <li class="record-take ${take.id === selectedTakeId ? 'selected' : ''}">
+                <button class="record-take-play" onclick="playTake(${take.id})" title="${t('recorder.playTake')}">
+                    <svg viewBox="0 0 24 24" width="12" height="12"><polygon points="5,3 19,12 5,21" fill="currentColor"/></svg>
+                </button>
+                <span class="record-take-date">${when}</span>
+                <span class="record-take-score">${score}</span>
+                <button class="record-take-delete" onclick="removeTake(${take.id})" title="${t('recorder.deleteTake')}">&times;</button>
+            </li>`;
+    }).join('');
+    return `<h4 class="record-takes-title">${t('recorder.takes')}</h4><ul class="record-takes">${items}</ul>`;
+}
+
+// Both curves share one time scale from the first voiced moment, so a longer take is visibly longer
+function drawWaveforms(take) {
+    const takeAnalysis = take && take.analysis;
+    const span = Math.max(referenceAnalysis ? referenceAnalysis.duration : 0, takeAnalysis ? takeAnalysis.duration : 0);
+    const styles = getComputedStyle(document.documentElement);
+    drawWaveform('record-wave-ref', referenceAnalysis, span, styles.getPropertyValue('--accent-primary').trim());
+    drawWaveform('record-wave-take', takeAnalysis, span, styles.getPropertyValue('--batchim').trim());
+}
+
+function drawWaveform(id, analysis, span, color) {
+    const canvas = document.getElementById(id);
+    const ctx = canvas && canvas.getContext ? canvas.getContext('2d') : null;
+    if (!ctx) return;
+
+    const ratio = window.devicePixelRatio || 1;
+    const width = canvas.width = Math.round(420 * ratio);
+    const height = canvas.height = Math.round(56 * ratio);
+    ctx.clearRect(0, 0, width, height);
+
+    const mid = height / 2;
+    ctx.fillStyle = '#e5e7eb';
+    ctx.fillRect(0, mid - ratio / 2, width, ratio);
+    if (!analysis || span === 0) return;
+
+    const step = width * ENERGY_FRAME / span;
+    ctx.fillStyle = color;
+    analysis.energy.forEach((v, i) => {
+        const h = Math.max(ratio, v * (mid - 2 * ratio));
+        ctx.fillRect(i * step, mid - h, Math.max(ratio, step - ratio / 2), h * 2);
+    });
+}
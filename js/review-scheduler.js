@@ -0,0 +1,137 @@
+/**
+ * Hangul Explorer - Spaced Repetition
+ * SM-2 scheduling for Word Discovery flashcards, persisted in localStorage
+ */
+
+// ============================================
+// State
+// ============================================
+
+const REVIEW_STORAGE_KEY = 'hangul-reviews';
+const REVIEW_DECK = 'review'; // Pseudo-category for the "Due today" deck
+
+// Grades map onto SM-2 quality scores (0-5)
+const REVIEW_GRADES = {
+    again: { label: 'review.again', quality: 1 },
+    hard: { label: 'review.hard', quality: 3 },
+    good: { label: 'review.good', quality: 4 },
+    easy: { label: 'review.easy', quality: 5 }
+};
+
+let reviewData = loadReviews();
+let reviewQueue = []; // Snapshot of the due deck while it is being studied
+
+function loadReviews() {
+    try {
+        return JSON.parse(localStorage.getItem(REVIEW_STORAGE_KEY)) || {};
+    } catch (err) {
+        console.error('Failed to read review schedule:', err);
+        return {};
+    }
+}
+
+function saveReviews() {
+    localStorage.setItem(REVIEW_STORAGE_KEY, JSON.stringify(reviewData));
+}
+
+// 차 (tea) and 차 (car) are different cards, so the gloss is part of the key
+function getWordKey(word) {
+    return word.korean + '|' + word.english;
+}
+
+// ============================================
+// Dates
+// ============================================
+
+// Local calendar day as YYYY-MM-DD, so "due today" follows the learner's clock
+function getToday() {
+    return formatDay(new Date());
+}
+
+function formatDay(date) {
+    const pad = n => String(n).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+function addDays(day, days) {
+    const [y, m, d] = day.split('-').map(Number);
+    return formatDay(new Date(y, m - 1, d + days));
+}
+
+// ============================================
+// SM-2 Scheduling
+// ============================================
+
+// Returns the next schedule entry without saving it (used for button previews too)
+function scheduleReview(entry, grade) {
+    const quality = REVIEW_GRADES[grade].quality;
+    const prev = entry || { ease: 2.5, interval: 0, reps: 0, lapses: 0 };
+    const next = { ...prev };
+
+    if (quality < 3) {
+        // Lapse: start over and show it again today
+        next.reps = 0;
+        next.interval = 0;
+        next.lapses = prev.lapses + 1;
+    } else {
+        if (prev.reps === 0) next.interval = 1;
+        else if (prev.reps === 1) next.interval = 6;
+        else next.interval = Math.round(prev.interval * prev.ease);
+        if (grade === 'hard') next.interval = Math.max(1, Math.round(next.interval * 0.8));
+        if (grade === 'easy') next.interval = Math.round(next.interval * 1.3) + 1;
+        next.reps = prev.reps + 1;
+    }
+
+    next.ease = Math.max(1.3, prev.ease + (0.1 - (5 - quality) * (0.08 + (5 - quality) * 0.02)));
+    next.lastReviewed = getToday();
+    next.due = addDays(next.lastReviewed, next.interval);
+    return next;
+}
+
+function gradeWord(word, grade) {
+    const key = getWordKey(word);
+    reviewData[key] = scheduleReview(reviewData[key], grade);
+    saveReviews();
+    return reviewData[key];
+}
+
+function formatInterval(days) {
+    if (days === 0) return t('review.today');
+    if (days < 30) return t('review.days', { count: days });
+    if (days < 365) return t('review.months', { count: Math.round(days / 30) });
+    return t('review.years', { count: (days / 365).toFixed(1) });
+}
+
+// ============================================
+// Due Deck
+// ============================================
+
+// Every scheduled word from every category whose due date has arrived
+function getDueWords() {
+    const today = getToday();
+    return getAllWords().filter(word => {
+        const entry = reviewData[getWordKey(word)];
+        return entry && entry.due <= today;
+    });
+}
+
+function startReviewDeck() {
+    reviewQueue = getDueWords();
+}
+
+// Graded cards leave the queue; "Again" sends the card to the back for another pass
+function advanceReviewQueue(idx, grade) {
+    const [word] = reviewQueue.splice(idx, 1);
+    if (grade === 'again') reviewQueue.push(word);
+}
+
+function renderGradeButtons(word) {
+    const entry = reviewData[getWordKey(word)];
+    return Object.keys(REVIEW_GRADES).map((grade, i) => {
+        const preview = scheduleReview(entry, grade);
+        return `<button class="wf-grade-btn grade-${grade}" onclick="gradeWordCard('${grade}')" title="${t('review.key', { key: i + 1 })}" aria-keyshortcuts="${i + 1}">
+            ${t(REVIEW_GRADES[grade].label)}
+            <small>${formatInterval(preview.interval)}</small>
+        </button>`;
+    }).join('');
+}
@@ -0,0 +1,190 @@
+/**
+ * Hangul Explorer - Romanization
+ * Computes Revised Romanization, McCune-Reischauer and Yale spellings from Hangul, and the
+ * switcher that picks which one the grids, builder and word cards show (or hides them all)
+ */
+
+// ============================================
+// System Tables
+// ============================================
+
+const ROMANIZATION_STORAGE_KEY = 'hangul-romanization';
+
+// initial/voiced/medial follow INITIAL_JAMO and MEDIAL_JAMO order; final is keyed by 받침.
+// RR and MR spell the 7 representative final sounds, Yale spells the written 받침 letter for letter.
+const ROMANIZATION_SYSTEMS = {
+    rr: {
+        label: 'romanization.rr',
+        initial: ['g', 'kk', 'n', 'd', 'tt', 'r', 'm', 'b', 'pp', 's', 'ss', '', 'j', 'jj', 'ch', 'k', 't', 'p', 'h'],
+        medial: ['a', 'ae', 'ya', 'yae', 'eo', 'e', 'yeo', 'ye', 'o', 'wa', 'wae', 'oe', 'yo', 'u', 'wo', 'we', 'wi', 'yu', 'eu', 'ui', 'i'],
+        final: { 'ㄱ': 'k', 'ㄴ': 'n', 'ㄷ': 't', 'ㄹ': 'l', 'ㅁ': 'm', 'ㅂ': 'p', 'ㅇ': 'ng' },
+        word: romanizeRevised
+    },
+    mr: {
+        label: 'romanization.mr',
+        initial: ['k', 'kk', 'n', 't', 'tt', 'r', 'm', 'p', 'pp', 's', 'ss', '', 'ch', 'tch', "ch'", "k'", "t'", "p'", 'h'],
+        // ㄱ ㄷ ㅂ ㅈ are written voiced between voiced sounds (after a vowel or ㄴ ㄹ ㅁ ㅇ)
+        voiced: ['g', 'kk', 'n', 'd', 'tt', 'r', 'm', 'b', 'pp', 's', 'ss', '', 'j', 'tch', "ch'", "k'", "t'", "p'", 'h'],
+        medial: ['a', 'ae', 'ya', 'yae', 'ŏ', 'e', 'yŏ', 'ye', 'o', 'wa', 'wae', 'oe', 'yo', 'u', 'wŏ', 'we', 'wi', 'yu', 'ŭ', 'ŭi', 'i'],
+        final: { 'ㄱ': 'k', 'ㄴ': 'n', 'ㄷ': 't', 'ㄹ': 'l', 'ㅁ': 'm', 'ㅂ': 'p', 'ㅇ': 'ng' },
+        word: romanizeMcCuneReischauer
+    },
+    yale: {
+        label: 'romanization.yale',
+        initial: ['k', 'kk', 'n', 't', 'tt', 'l', 'm', 'p', 'pp', 's', 'ss', '', 'c', 'cc', 'ch', 'kh', 'th', 'ph', 'h'],
+        medial: ['a', 'ay', 'ya', 'yay', 'e', 'ey', 'ye', 'yey', 'o', 'wa', 'way', 'oy', 'yo', 'wu', 'we', 'wey', 'wi', 'yu', 'u', 'uy', 'i'],
+        final: {
+            'ㄱ': 'k', 'ㄲ': 'kk', 'ㄳ': 'ks', 'ㄴ': 'n', 'ㄵ': 'nc', 'ㄶ': 'nh', 'ㄷ': 't', 'ㄹ': 'l',
+            'ㄺ': 'lk', 'ㄻ': 'lm', 'ㄼ': 'lp', 'ㄽ': 'ls', 'ㄾ': 'lth', 'ㄿ': 'lph', 'ㅀ': 'lh', 'ㅁ': 'm',
+            'ㅂ': 'p', 'ㅄ': 'ps', 'ㅅ': 's', 'ㅆ': 'ss', 'ㅇ': 'ng', 'ㅈ': 'c', 'ㅊ': 'ch', 'ㅋ': 'kh',
+            'ㅌ': 'th', 'ㅍ': 'ph', 'ㅎ': 'h'
+        },
+        word: romanizeYale
+    }
+};
+
+const VOICED_FINALS = ['ㄴ', 'ㄹ', 'ㅁ', 'ㅇ'];
+const STOP_FINALS = ['ㄱ', 'ㄷ', 'ㅂ'];
+const LABIAL_INITIALS = ['ㅁ', 'ㅂ', 'ㅃ', 'ㅍ'];
+
+let romanizationSettings = loadRomanizationSettings(); // { system, hidden }
+
+function isValidRomanizationSettings(data) {
+    return data !== null && typeof data === 'object' && data.system in ROMANIZATION_SYSTEMS && typeof data.hidden === 'boolean';
+}
+
+function loadRomanizationSettings() {
+    try {
+        const saved = JSON.parse(localStorage.getItem(ROMANIZATION_STORAGE_KEY));
+        if (isValidRomanizationSettings(saved)) return saved;
+    } catch (err) {
+        console.error('Failed to read romanization settings:', err);
+    }
+    return { system: 'rr', hidden: false };
+}
+
+// ============================================
+// Word Romanizers
+// ============================================
+
+// Each takes the spoken syllables from getPronunciation plus the written word
+
+// RR follows the spoken form except for tensification (학교 = hak-gyo, not hak-kkyo)
+function romanizeRevised(syls) {
+    const rr = ROMANIZATION_SYSTEMS.rr;
+    const roms = syls.map((syl, i) => {
+        const initial = syl.plainInitial || syl.initial;
+        let rom = rr.initial[INITIAL_JAMO.indexOf(initial)];
+        if (initial === 'ㄹ' && i > 0 && !syls[i - 1].wordEnd && syls[i - 1].final === 'ㄹ') rom = 'l'; // ㄹㄹ = ll
+        rom += rr.medial[MEDIAL_JAMO.indexOf(syl.medial)];
+        if (syl.final) rom += rr.final[syl.final];
+        return rom;
+    });
+    return joinSyllables(syls, roms, '-');
+}
+
+// MR writes what is heard: voicing between voiced sounds (불고기 = pulgogi) and tense sounds,
+// except tensing by a stop 받침, which is taken as read (앉다 = antta, 값이 = kapssi, but 학교 = hakkyo),
+// with an apostrophe keeping n + g apart from ng (한국 = han'guk)
+function romanizeMcCuneReischauer(syls) {
+    const mr = ROMANIZATION_SYSTEMS.mr;
+    const roms = syls.map((syl, i) => {
+        const prev = i > 0 && !syls[i - 1].wordEnd ? syls[i - 1] : null; // Each word starts afresh
+        const afterStop = prev && STOP_FINALS.includes(prev.final);
+        const initial = afterStop && syl.tensedByFinal ? syl.plainInitial : syl.initial;
+        const idx = INITIAL_JAMO.indexOf(initial);
+        const voiced = prev && (!prev.final || VOICED_FINALS.includes(prev.final));
+        let rom = voiced ? mr.voiced[idx] : mr.initial[idx];
+        if (initial === 'ㄹ' && prev && prev.final === 'ㄹ') rom = 'l';
+        if (initial === 'ㅅ' && (syl.medial === 'ㅣ' || syl.medial === 'ㅟ')) rom = 'sh';
+        if (prev && prev.final === 'ㄴ' && initial === 'ㄱ') rom = "'" + rom;
+        rom += mr.medial[MEDIAL_JAMO.indexOf(syl.medial)];
+        if (syl.final) rom += mr.final[syl.final];
+        return rom;
+    });
+    return joinSyllables(syls, roms);
+}
+
+// Yale transliterates the spelling, not the sound (없어요 = epseyo); ㅜ after a lip consonant is plain u
+function romanizeYale(syls, written) {
+    const yale = ROMANIZATION_SYSTEMS.yale;
+    const roms = deriveSyllables(written).map(ch => {
+        const parts = decomposeSyllable(ch);
+        let medial = yale.medial[MEDIAL_JAMO.indexOf(parts.medial)];
+        if (parts.medial === 'ㅜ' && LABIAL_INITIALS.includes(parts.initial)) medial = 'u';
+        return yale.initial[INITIAL_JAMO.indexOf(parts.initial)] + medial + (parts.final ? yale.final[parts.final] : '');
+    });
+    return joinSyllables(syls, roms);
+}
+
+// ============================================
+// Display Helpers
+// ============================================
+
+// A word or syllable in the chosen system, from its getPronunciation result
+function romanizePronunciation(pron, system = romanizationSettings.system) {
+    return ROMANIZATION_SYSTEMS[system].word(pron.sounds, pron.written);
+}
+
+// 받침 as spelled in the chosen system: the sound it makes for RR/MR ('ㅅ' = t), the letters for Yale
+function romanizeFinal(char, system = romanizationSettings.system) {
+    const table = ROMANIZATION_SYSTEMS[system];
+    return system === 'yale' ? table.final[char] : table.final[getRepresentativeFinal(char)];
+}
+
+// One jamo with its position variants: 'g/k' (RR), 'k/g' (MR), '-/ng' for ㅇ
+function romanizeJamo(char, system = romanizationSettings.system) {
+    const table = ROMANIZATION_SYSTEMS[system];
+    const medialIdx = MEDIAL_JAMO.indexOf(char);
+    if (medialIdx !== -1) return table.medial[medialIdx];
+
+    const initialIdx = INITIAL_JAMO.indexOf(char);
+    if (initialIdx === -1) return FINAL_JAMO.includes(char) ? romanizeFinal(char, system) : '';
+
+    const forms = [table.initial[initialIdx] || '-'];
+    if (table.voiced) forms.push(table.voiced[initialIdx] || '-');
+    if (FINAL_JAMO.includes(char)) forms.push(romanizeFinal(char, system));
+    return [...new Set(forms)].join('/');
+}
+
+// Builder cells: the final row shows how a 받침 is spelled, every other cell the whole jamo
+function getJamoRomanization(char, role) {
+    return role === 'final' ? romanizeFinal(char) : romanizeJamo(char);
+}
+
+// ============================================
+// Settings
+// ============================================
+
+function renderRomanizationSwitcher() {
+    const el = document.getElementById('romanization-switcher');
+    if (!el) return;
+
+    const current = romanizationSettings.hidden ? 'hidden' : romanizationSettings.system;
+    const choices = [...Object.entries(ROMANIZATION_SYSTEMS).map(([value, table]) => [value, table.label]), ['hidden', 'romanization.hidden']];
+    const options = choices.map(([value, label]) =>
+        `<option value="${value}" ${value === current ? 'selected' : ''}>${t(label)}</option>`).join('');
+    el.innerHTML = `
+        <select class="locale-select" aria-label="${t('romanization.label')}" title="${t('romanization.label')}" onchange="setRomanization(this.value)">${options}</select>`;
+}
+
+// The chosen system is kept while romanization is hidden, so showing it again restores the learner's book
+function setRomanization(value) {
+    if (value === 'hidden') {
+        romanizationSettings.hidden = true;
+    } else if (value in ROMANIZATION_SYSTEMS) {
+        romanizationSettings = { system: value, hidden: false };
+    } else {
+        return;
+    }
+    localStorage.setItem(ROMANIZATION_STORAGE_KEY, JSON.stringify(romanizationSettings));
+
+    applyRomanizationVisibility();
+    renderRomanizationSwitcher();
+    refreshContentViews();
+}
+
+// Hiding is a body class so every romanization line disappears without re-rendering
+function applyRomanizationVisibility() {
+    document.body.classList.toggle('hide-romanization', romanizationSettings.hidden);
+}
@@ -0,0 +1,151 @@
+/**
+ * Hangul Explorer - URL Routing
+ * Mirrors the current section, builder selection and word deck in the URL hash so links can be
+ * shared and reloaded, e.g. #/builder?i=ㄱ&v=ㅏ&f=ㄴ, #/words/food/flashcards/3, #/words/search?q=ㄲ or #/vowels/ㅘ
+ */
+
+// ============================================
+// State
+// ============================================
+
+let applyingRoute = false; // Set while a route is restored, so the restore itself isn't recorded
+
+function initRouter() {
+    window.addEventListener('popstate', applyRoute);
+    if (!window.location.hash.startsWith('#/')) return;
+
+    // A shared link should open on what it points to, not on the welcome screen
+    document.body.classList.remove('show-landing');
+    applyRoute();
+}
+
+// ============================================
+// Reading Routes
+// ============================================
+
+function decodeRoutePart(part) {
+    try {
+        return decodeURIComponent(part);
+    } catch (err) {
+        return part; // Malformed escapes: use the raw text
+    }
+}
+
+// '#/words/food/flashcards/3' -> { section: 'words', parts: ['food', 'flashcards', '3'], params }
+// Path segments are decoded one by one; URLSearchParams decodes the query values itself
+function parseRoute(hash) {
+    const [path, query = ''] = hash.replace(/^#\/?/, '').split('?');
+    const [section, ...parts] = path.split('/').filter(Boolean).map(decodeRoutePart);
+    return { section: section || 'consonants', parts, params: new URLSearchParams(query) };
+}
+
+function applyRoute() {
+    if (!hangulData) return;
+    const { section, parts, params } = parseRoute(window.location.hash);
+    const known = [...document.querySelectorAll('.nav-btn')].map(btn => btn.dataset.section);
+
+    applyingRoute = true;
+    try {
+        if (section === 'consonants') {
+            restoreBuilderSelection(parts[0], selectedVowel, selectedFinal);
+        } else if (section === 'vowels') {
+            restoreBuilderSelection(selectedConsonant, parts[0], selectedFinal);
+        } else if (section === 'builder') {
+            restoreBuilderSelection(params.get('i'), params.get('v'), params.get('f'));
+        } else if (section === 'words') {
+            restoreWordDeck(parts, params);
+        }
+        switchSection(known.includes(section) ? section : 'consonants');
+        revealSelection();
+    } finally {
+        applyingRoute = false;
+    }
+    // Rewrite links that named an unknown letter or an out-of-range card
+    syncRoute(false);
+}
+
+function restoreBuilderSelection(initial, medial, final) {
+    const find = (list, char) => (list.some(item => item.char === char) ? char : null);
+    selectedConsonant = find(hangulData.consonants, initial);
+    selectedVowel = find(hangulData.vowels, medial);
+    selectedFinal = find(hangulData.finalConsonants, final);
+
+    syncCharGrid('consonant', selectedConsonant);
+    syncCharGrid('vowel', selectedVowel);
+    syncBuilderSelection('initial', selectedConsonant);
+    syncBuilderSelection('medial', selectedVowel);
+    syncBuilderSelection('final', selectedFinal);
+    updateBuilder();
+}
+
+// parts: [category] or [category, 'flashcards', cardNumber] (card numbers start at 1, as shown under the card);
+// search results keep their query in the params
+function restoreWordDeck([category, view, card], params) {
+    if (category === SEARCH_DECK) {
+        restoreWordSearch(params);
+        if (isWordSearchActive()) currentWordCategory = SEARCH_DECK;
+    } else if (category === REVIEW_DECK || category === READABLE_DECK || getWordCategories().includes(category)) {
+        currentWordCategory = category;
+    }
+    shuffledWords = null;
+    if (currentWordCategory === REVIEW_DECK) startReviewDeck();
+
+    wordViewMode = view === 'flashcards' ? 'flashcard' : 'grid';
+    const count = getCategoryWords(currentWordCategory).length;
+    const idx = parseInt(card, 10) - 1;
+    wordCardIdx = idx >= 0 && idx < count ? idx : 0;
+    renderWordDiscovery();
+}
+
+// Scroll the linked letter into view, opening its collapsed group if needed
+function revealSelection() {
+    const selectors = {
+        consonants: '#consonant-grid .char-cell.consonant-selected',
+        vowels: '#vowel-grid .char-cell.vowel-selected',
+        builder: '#builder-preview'
+    };
+    const cell = selectors[currentSection] && document.querySelector(selectors[currentSection]);
+    if (!cell) return;
+
+    const collapsed = cell.closest('.collapse-content');
+    if (collapsed && collapsed.style.display === 'none') toggleCollapse(collapsed.previousElementSibling);
+    cell.scrollIntoView({ block: 'center' });
+}
+
+// ============================================
+// Writing Routes
+// ============================================
+
+function getRouteHash() {
+    switch (currentSection) {
+        case 'consonants':
+            return '#/consonants' + (selectedConsonant ? '/' + encodeURIComponent(selectedConsonant) : '');
+        case 'vowels':
+            return '#/vowels' + (selectedVowel ? '/' + encodeURIComponent(selectedVowel) : '');
+        case 'builder': {
+            const params = [['i', selectedConsonant], ['v', selectedVowel], ['f', selectedFinal]]
+                .filter(([, char]) => char)
+                .map(([key, char]) => `${key}=${encodeURIComponent(char)}`);
+            return '#/builder' + (params.length > 0 ? '?' + params.join('&') : '');
+        }
+        case 'words':
+            return `#/words/${encodeURIComponent(currentWordCategory)}` + (wordViewMode === 'flashcard' ? `/flashcards/${wordCardIdx + 1}` : '') +
+                (currentWordCategory === SEARCH_DECK ? getWordSearchRoute() : '');
+        default:
+            return '#/' + currentSection;
+    }
+}
+
+// push: a new history entry, for moves Back should undo (section, deck, view).
+// Otherwise the current entry is updated in place, so clicking through letters or cards
+// doesn't bury the previous section under dozens of entries.
+function syncRoute(push) {
+    if (applyingRoute || !hangulData) return;
+    const hash = getRouteHash();
+    if (window.location.hash === hash) return;
+    if (push) {
+        history.pushState(null, '', hash);
+    } else {
+        history.replaceState(null, '', hash);
+    }
+}
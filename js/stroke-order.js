@@ -0,0 +1,310 @@
+/**
+ * Hangul Explorer - Stroke Order
+ * Animates each jamo's stroke order and checks strokes traced on a practice canvas
+ */
+
+// ============================================
+// State
+// ============================================
+
+const STROKE_SAMPLES = 24;    // Points compared per stroke
+const STROKE_TOLERANCE = 16;  // Mean distance (0-100 glyph units) that still counts as the same stroke
+const STROKE_STEP = 0.8;      // Seconds per stroke in the animation
+
+let strokeChar = null;    // { type, data, strokes } shown in the detail view
+let traceDone = [];       // Learner's points for each accepted stroke
+let traceCurrent = null;  // Points of the stroke being drawn
+let traceMistake = null;  // Last rejected stroke, drawn in red until the next attempt
+
+// ============================================
+// Stroke Geometry
+// ============================================
+
+// Stroke paths in hangul-data.json use only M/L commands in a 100x100 box,
+// so the same string is drawn as SVG and compared as a list of points
+function parseStroke(path) {
+    const nums = path.match(/-?\d+(\.\d+)?/g).map(Number);
+    const points = [];
+    for (let i = 0; i < nums.length; i += 2) points.push([nums[i], nums[i + 1]]);
+    return points;
+}
+
+function getStrokeLength(points) {
+    let length = 0;
+    for (let i = 1; i < points.length; i++) {
+        length += Math.hypot(points[i][0] - points[i - 1][0], points[i][1] - points[i - 1][1]);
+    }
+    return length;
+}
+
+// n points evenly spaced along the polyline, from its start to its end
+function resampleStroke(points, n) {
+    const total = getStrokeLength(points);
+    if (total === 0) return Array(n).fill(points[0]);
+
+    const out = [];
+    let seg = 1;
+    let segStart = 0;
+    let segLength = Math.hypot(points[1][0] - points[0][0], points[1][1] - points[0][1]);
+    for (let k = 0; k < n; k++) {
+        const target = total * k / (n - 1);
+        while (seg < points.length - 1 && segStart + segLength < target) {
+            segStart += segLength;
+            seg++;
+            segLength = Math.hypot(points[seg][0] - points[seg - 1][0], points[seg][1] - points[seg - 1][1]);
+        }
+        const t = segLength === 0 ? 0 : Math.min(1, (target - segStart) / segLength);
+        const [a, b] = [points[seg - 1], points[seg]];
+        out.push([a[0] + (b[0] - a[0]) * t, a[1] + (b[1] - a[1]) * t]);
+    }
+    return out;
+}
+
+// Mean distance between matching points, so direction matters as much as shape
+function strokeDistance(a, b) {
+    const ra = resampleStroke(a, STROKE_SAMPLES);
+    const rb = resampleStroke(b, STROKE_SAMPLES);
+    return ra.reduce((sum, p, i) => sum + Math.hypot(p[0] - rb[i][0], p[1] - rb[i][1]), 0) / STROKE_SAMPLES;
+}
+
+// Compare a drawn stroke with the stroke that should come next.
+// result: 'correct', 'reversed' (right place, wrong direction), 'order' (a later stroke) or 'miss'
+function evaluateStroke(drawn, strokes, nextIdx) {
+    const matches = (stroke) => strokeDistance(drawn, stroke) <= STROKE_TOLERANCE;
+    const expected = strokes[nextIdx];
+
+    // Short ticks are within tolerance both ways round, so the closer direction wins
+    const forward = strokeDistance(drawn, expected);
+    const backward = strokeDistance(drawn, [...expected].reverse());
+    if (Math.min(forward, backward) <= STROKE_TOLERANCE) {
+        return { result: forward <= backward ? 'correct' : 'reversed', stroke: nextIdx };
+    }
+    for (let i = nextIdx + 1; i < strokes.length; i++) {
+        if (matches(strokes[i]) || matches([...strokes[i]].reverse())) return { result: 'order', stroke: i };
+    }
+    return { result: 'miss', stroke: nextIdx };
+}
+
+// ============================================
+// Detail View
+// ============================================
+
+function openStrokeDetail(type, char) {
+    const list = type === 'consonant' ? hangulData.consonants : hangulData.vowels;
+    const data = list.find(c => c.char === char);
+    if (!data || !data.strokes) return;
+
+    strokeChar = { type, data, strokes: data.strokes.map(parseStroke) };
+
+    let modal = document.getElementById('stroke-modal');
+    if (!modal) {
+        modal = document.createElement('div');
+        modal.id = 'stroke-modal';
+        modal.className = 'stroke-modal';
+        modal.addEventListener('click', e => { if (e.target === modal) closeStrokeDetail(); });
+        document.body.appendChild(modal);
+    }
+
+    modal.innerHTML = `
+        <div class="stroke-dialog ${type}" role="dialog" aria-modal="true" aria-label="${t('stroke.label', { char })}">
+            <button class="stroke-close" onclick="closeStrokeDetail()" title="${t('stroke.close')}">&times;</button>
+            <div class="stroke-header">
+                <div class="stroke-glyph">${char}</div>
+                <div class="stroke-info">
+                    <h3>${data.name} <span class="stroke-rom">${romanizeJamo(data.char)}</span></h3>
+                    <p>${t('stroke.count', { count: data.strokes.length })}${data.mnemonic ? ' &middot; ' + localize(data.mnemonic, 'text') : ''}</p>
+                </div>
+                <button class="wf-action-btn" onclick="playJamo('${char}')">${t('stroke.listen')}</button>
+            </div>
+            <div class="stroke-panels">
+                <div class="stroke-panel">
+                    <h4>${t('stroke.order')}</h4>
+                    <div class="stroke-stage" id="stroke-animation"></div>
+                    <button class="builder-btn secondary" onclick="renderStrokeAnimation()">${t('stroke.replay')}</button>
+                </div>
+                <div class="stroke-panel">
+                    <h4>${t('stroke.trace')}</h4>
+                    <div class="stroke-stage">
+                        <canvas id="trace-canvas" class="trace-canvas" width="260" height="260"></canvas>
+                    </div>
+                    <button class="builder-btn secondary" onclick="resetTrace()">${t('stroke.startOver')}</button>
+                </div>
+            </div>
+            <div class="trace-feedback" id="trace-feedback"></div>
+        </div>`;
+    modal.classList.add('open');
+
+    renderStrokeAnimation();
+    initTraceCanvas();
+    resetTrace();
+}
+
+function closeStrokeDetail() {
+    const modal = document.getElementById('stroke-modal');
+    if (modal) modal.classList.remove('open');
+    strokeChar = null;
+}
+
+document.addEventListener('keydown', e => {
+    if (e.key === 'Escape' && strokeChar) closeStrokeDetail();
+});
+
+// Re-rendering the SVG restarts the CSS animations, which is all Replay needs
+function renderStrokeAnimation() {
+    const el = document.getElementById('stroke-animation');
+    if (!el || !strokeChar) return;
+
+    const paths = strokeChar.data.strokes;
+    const starts = strokeChar.strokes.map((points, i) => `
+        <g class="stroke-start" style="animation-delay:${i * STROKE_STEP}s">
+            <circle cx="${points[0][0]}" cy="${points[0][1]}" r="5"/>
+            <text x="${points[0][0]}" y="${points[0][1]}">${i + 1}</text>
+        </g>`).join('');
+
+    el.innerHTML = `
+        <svg class="stroke-svg" viewBox="0 0 100 100">
+            <path class="stroke-grid" d="M50 0 V100 M0 50 H100"/>
+            ${paths.map(d => `<path class="stroke-ghost" d="${d}"/>`).join('')}
+            ${paths.map((d, i) => `<path class="stroke-path" d="${d}" pathLength="1" style="animation-delay:${i * STROKE_STEP}s"/>`).join('')}
+            ${starts}
+        </svg>`;
+}
+
+// ============================================
+// Trace Canvas
+// ============================================
+
+function initTraceCanvas() {
+    const canvas = document.getElementById('trace-canvas');
+    if (!canvas) return;
+
+    // Match the backing store to the screen so strokes stay crisp on high-DPI displays
+    const ratio = window.devicePixelRatio || 1;
+    canvas.width = canvas.height = Math.round(260 * ratio);
+
+    const toGlyph = (e) => {
+        const rect = canvas.getBoundingClientRect();
+        return [(e.clientX - rect.left) / rect.width * 100, (e.clientY - rect.top) / rect.height * 100];
+    };
+
+    // Pointer events cover mouse, pen and touch alike
+    canvas.addEventListener('pointerdown', e => {
+        if (!strokeChar || traceDone.length === strokeChar.strokes.length) return;
+        e.preventDefault();
+        canvas.setPointerCapture(e.pointerId);
+        traceCurrent = [toGlyph(e)];
+        traceMistake = null;
+        drawTrace();
+    });
+    canvas.addEventListener('pointermove', e => {
+        if (!traceCurrent) return;
+        traceCurrent.push(toGlyph(e));
+        drawTrace();
+    });
+    canvas.addEventListener('pointerup', finishTraceStroke);
+    canvas.addEventListener('pointercancel', () => {
+        traceCurrent = null;
+        drawTrace();
+    });
+}
+
+function resetTrace() {
+    traceDone = [];
+    traceCurrent = null;
+    traceMistake = null;
+    drawTrace();
+    showTraceFeedback('', t('stroke.traceStart'));
+}
+
+function finishTraceStroke() {
+    if (!traceCurrent || !strokeChar) return;
+    const drawn = traceCurrent;
+    traceCurrent = null;
+
+    // Ignore taps and tiny slips
+    if (getStrokeLength(drawn) < 4) {
+        drawTrace();
+        return;
+    }
+
+    const total = strokeChar.strokes.length;
+    const next = traceDone.length;
+    const { result, stroke } = evaluateStroke(drawn, strokeChar.strokes, next);
+
+    if (result === 'correct') {
+        traceDone.push(drawn);
+        if (traceDone.length === total) {
+            showTraceFeedback('correct', t('stroke.done', { count: total }));
+        } else {
+            showTraceFeedback('correct', t('stroke.right', { stroke: next + 1, next: next + 2 }));
+        }
+    } else {
+        traceMistake = drawn;
+        const messages = {
+            reversed: t('stroke.reversed', { stroke: next + 1 }),
+            order: t('stroke.wrongOrder', { drawn: stroke + 1, stroke: next + 1 }),
+            miss: t('stroke.miss', { stroke: next + 1 })
+        };
+        showTraceFeedback('wrong', messages[result]);
+    }
+    drawTrace();
+}
+
+function showTraceFeedback(kind, text) {
+    const el = document.getElementById('trace-feedback');
+    if (!el) return;
+    el.className = 'trace-feedback ' + kind;
+    el.textContent = text;
+}
+
+function drawTrace() {
+    const canvas = document.getElementById('trace-canvas');
+    const ctx = canvas && canvas.getContext ? canvas.getContext('2d') : null;
+    if (!ctx || !strokeChar) return;
+
+    const styles = getComputedStyle(document.documentElement);
+    const color = name => styles.getPropertyValue(name).trim();
+    const ink = strokeChar.type === 'consonant' ? color('--consonant') : color('--vowel');
+
+    // Draw in glyph units (0-100) whatever the canvas resolution
+    ctx.setTransform(canvas.width / 100, 0, 0, canvas.height / 100, 0, 0);
+    ctx.clearRect(0, 0, 100, 100);
+    ctx.lineCap = 'round';
+    ctx.lineJoin = 'round';
+
+    ctx.strokeStyle = '#e5e7eb';
+    ctx.lineWidth = 0.5;
+    ctx.setLineDash([2, 2]);
+    ctx.stroke(new Path2D('M50 0 V100 M0 50 H100'));
+    ctx.setLineDash([]);
+
+    ctx.strokeStyle = color('--bg-subtle');
+    ctx.lineWidth = 9;
+    strokeChar.data.strokes.forEach(d => ctx.stroke(new Path2D(d)));
+
+    const polyline = (points, style, width) => {
+        ctx.strokeStyle = style;
+        ctx.lineWidth = width;
+        ctx.beginPath();
+        points.forEach(([x, y], i) => (i === 0 ? ctx.moveTo(x, y) : ctx.lineTo(x, y)));
+        ctx.stroke();
+    };
+    traceDone.forEach(points => polyline(points, ink, 5));
+    if (traceMistake) polyline(traceMistake, '#ef4444', 5);
+    if (traceCurrent) polyline(traceCurrent, color('--text-primary'), 5);
+
+    // Numbered start dot for the stroke the learner should draw next
+    const next = strokeChar.strokes[traceDone.length];
+    if (next && !traceCurrent) {
+        const [x, y] = next[0];
+        ctx.fillStyle = color('--accent-primary');
+        ctx.beginPath();
+        ctx.arc(x, y, 4.5, 0, Math.PI * 2);
+        ctx.fill();
+        ctx.fillStyle = 'white';
+        ctx.font = 'bold 6px sans-serif';
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        ctx.fillText(String(traceDone.length + 1), x, y + 0.3);
+    }
+}
@@ -0,0 +1,185 @@
+/**
+ * Hangul Explorer - Syllable Chart
+ * The 반절표 classroom chart: every initial consonant against every vowel, each cell playable,
+ * with whole rows and columns read out in order for choral drilling
+ */
+
+// ============================================
+// State
+// ============================================
+
+// Classroom order: ㅏㅑㅓㅕ… pairs each vowel with its Y-vowel (the data file groups them by type)
+const CHART_VOWEL_ORDER = ['ㅏ', 'ㅑ', 'ㅓ', 'ㅕ', 'ㅗ', 'ㅛ', 'ㅜ', 'ㅠ', 'ㅡ', 'ㅣ', 'ㅐ', 'ㅒ', 'ㅔ', 'ㅖ', 'ㅘ', 'ㅙ', 'ㅚ', 'ㅝ', 'ㅞ', 'ㅟ', 'ㅢ'];
+
+// Filter groups, named by the grid group labels; consonant and vowel `type` values decide membership
+const CHART_ROW_GROUPS = {
+    basic: { label: 'consonants.basic', test: c => c.type === 'basic' },
+    aspirated: { label: 'consonants.aspirated', test: c => c.type === 'aspirated' },
+    double: { label: 'consonants.double', test: c => c.type === 'double' }
+};
+const CHART_COLUMN_GROUPS = {
+    basic: { label: 'vowels.basic', test: v => v.type.startsWith('basic') },
+    y: { label: 'vowels.y', test: v => v.type.startsWith('y') },
+    compound: { label: 'vowels.compound', test: v => v.type === 'compound' }
+};
+
+const chartFilters = {
+    rows: Object.keys(CHART_ROW_GROUPS),
+    columns: Object.keys(CHART_COLUMN_GROUPS)
+};
+
+let chartGeneration = null; // audioGeneration of the row or column being read out
+
+function getChartRows() {
+    return hangulData.consonants
+        .filter(c => chartFilters.rows.some(group => CHART_ROW_GROUPS[group].test(c)))
+        .map(c => c.char);
+}
+
+function getChartColumns() {
+    return CHART_VOWEL_ORDER.filter(char => {
+        const vowel = hangulData.vowels.find(v => v.char === char);
+        return vowel && chartFilters.columns.some(group => CHART_COLUMN_GROUPS[group].test(vowel));
+    });
+}
+
+// ============================================
+// Playback
+// ============================================
+
+function playChartCell(btn) {
+    stopChartLine();
+    const syllable = btn.dataset.syllable;
+    highlightChartCell(syllable);
+    recordPlay('syllable', syllable);
+    const played = playAudio('syllable', syllable);
+    const gen = audioGeneration;
+    played.then(() => {
+        if (gen === audioGeneration) clearChartHighlight();
+    });
+}
+
+function playChartRow(initial) {
+    playChartLine(getChartColumns().map(medial => composeSyllable(initial, medial, null)));
+}
+
+function playChartColumn(medial) {
+    playChartLine(getChartRows().map(initial => composeSyllable(initial, medial, null)));
+}
+
+// Reads the syllables out one by one (with the playback bar's speed, gap and repeat),
+// highlighting each cell as it plays
+function playChartLine(syllables) {
+    stopAllAudio();
+    const gen = audioGeneration;
+    chartGeneration = gen;
+    syllables.slice(0, PRELOAD_LIMIT).forEach(syl => preloadAudio('syllable', syl));
+    updateChartStopButton();
+
+    playSequence(syllables.map(text => ({ kind: 'syllable', text })), gen, i => {
+        highlightChartCell(syllables[i]);
+        const next = syllables[i + PRELOAD_LIMIT];
+        if (next) preloadAudio('syllable', next);
+    }).then(() => {
+        if (chartGeneration !== gen) return;
+        chartGeneration = null;
+        clearChartHighlight();
+        updateChartStopButton();
+    });
+}
+
+function stopChartLine() {
+    if (chartGeneration === null) return;
+    chartGeneration = null;
+    stopAllAudio();
+    clearChartHighlight();
+    updateChartStopButton();
+}
+
+function highlightChartCell(syllable) {
+    clearChartHighlight();
+    const cell = document.querySelector(`.chart-cell[data-syllable="${syllable}"]`);
+    if (!cell) return;
+    cell.classList.add('chart-playing');
+    const { initial, medial } = decomposeSyllable(syllable);
+    document.querySelectorAll(`.chart-head[data-initial="${initial}"], .chart-head[data-medial="${medial}"]`)
+        .forEach(head => head.classList.add('chart-playing'));
+    cell.scrollIntoView({ block: 'nearest', inline: 'nearest' });
+}
+
+function clearChartHighlight() {
+    document.querySelectorAll('#syllable-chart .chart-playing').forEach(el => el.classList.remove('chart-playing'));
+}
+
+function updateChartStopButton() {
+    const btn = document.getElementById('chart-stop-btn');
+    if (btn) btn.disabled = chartGeneration === null;
+}
+
+// ============================================
+// Filters
+// ============================================
+
+// At least one group stays on in each direction, so the chart never disappears
+function toggleChartFilter(direction, group) {
+    const list = chartFilters[direction];
+    if (list.includes(group)) {
+        if (list.length === 1) return;
+        chartFilters[direction] = list.filter(g => g !== group);
+    } else {
+        chartFilters[direction] = [...list, group];
+    }
+    stopChartLine();
+    renderSyllableChart();
+}
+
+// ============================================
+// Rendering
+// ============================================
+
+function renderSyllableChart() {
+    const container = document.getElementById('syllable-chart');
+    if (!container || !hangulData) return;
+
+    const chip = (direction, group, label) => {
+        const on = chartFilters[direction].includes(group);
+        return `<button class="search-chip ${on ? 'active' : ''}" aria-pressed="${on}" onclick="toggleChartFilter('${direction}', '${group}')">${t(label)}</button>`;
+    };
+    const rowChips = Object.entries(CHART_ROW_GROUPS).map(([group, g]) => chip('rows', group, g.label)).join('');
+    const columnChips = Object.entries(CHART_COLUMN_GROUPS).map(([group, g]) => chip('columns', group, g.label)).join('');
+
+    const rows = getChartRows();
+    const columns = getChartColumns();
+    const head = columns.map(medial => `
+        <th scope="col"><button class="chart-head vowel" data-medial="${medial}" title="${t('chart.playColumn', { char: medial })}" onclick="playChartColumn('${medial}')">${medial}</button></th>`).join('');
+    const body = rows.map(initial => {
+        const cells = columns.map(medial => {
+            const syllable = composeSyllable(initial, medial, null);
+            return `<td><button class="chart-cell" data-syllable="${syllable}" onclick="playChartCell(this)">
+                ${syllable}<span class="chart-rom">${romanizePronunciation(getPronunciation(syllable))}</span>
+            </button></td>`;
+        }).join('');
+        return `
+            <tr>
+                <th scope="row"><button class="chart-head consonant" data-initial="${initial}" title="${t('chart.playRow', { char: initial })}" onclick="playChartRow('${initial}')">${initial}</button></th>
+                ${cells}
+            </tr>`;
+    }).join('');
+
+    container.innerHTML = `
+        <div class="section-header">
+            <h2>${t('chart.title')}</h2>
+            <p>${t('chart.intro')}</p>
+        </div>
+        <div class="chart-filters">
+            <div class="search-chips" role="group" aria-label="${t('chart.rows')}"><span class="chart-filter-label">${t('chart.rows')}</span>${rowChips}</div>
+            <div class="search-chips" role="group" aria-label="${t('chart.columns')}"><span class="chart-filter-label">${t('chart.columns')}</span>${columnChips}</div>
+            <button class="builder-btn secondary" id="chart-stop-btn" onclick="stopChartLine()" ${chartGeneration === null ? 'disabled' : ''}>${t('chart.stop')}</button>
+        </div>
+        <div class="chart-scroll">
+            <table class="syllable-chart" aria-label="${t('chart.title')}">
+                <thead><tr><th scope="col"><span class="sr-only">${t('chart.corner')}</span></th>${head}</tr></thead>
+                <tbody>${body}</tbody>
+            </table>
+        </div>`;
+}
@@ -0,0 +1,361 @@
+/**
+ * Hangul Explorer - Typing Trainer
+ * On-screen 두벌식 keyboard, an IME-style syllable automaton and word typing drills
+ */
+
+// ============================================
+// Keyboard Layout
+// ============================================
+
+// Standard 두벌식 (2-set) layout by physical key; Shift only changes the keys that have a shifted jamo
+const KEYBOARD_ROWS = [
+    ['KeyQ', 'KeyW', 'KeyE', 'KeyR', 'KeyT', 'KeyY', 'KeyU', 'KeyI', 'KeyO', 'KeyP'],
+    ['KeyA', 'KeyS', 'KeyD', 'KeyF', 'KeyG', 'KeyH', 'KeyJ', 'KeyK', 'KeyL'],
+    ['KeyZ', 'KeyX', 'KeyC', 'KeyV', 'KeyB', 'KeyN', 'KeyM']
+];
+
+const KEY_JAMO = {
+    KeyQ: 'ㅂ', KeyW: 'ㅈ', KeyE: 'ㄷ', KeyR: 'ㄱ', KeyT: 'ㅅ', KeyY: 'ㅛ', KeyU: 'ㅕ', KeyI: 'ㅑ', KeyO: 'ㅐ', KeyP: 'ㅔ',
+    KeyA: 'ㅁ', KeyS: 'ㄴ', KeyD: 'ㅇ', KeyF: 'ㄹ', KeyG: 'ㅎ', KeyH: 'ㅗ', KeyJ: 'ㅓ', KeyK: 'ㅏ', KeyL: 'ㅣ',
+    KeyZ: 'ㅋ', KeyX: 'ㅌ', KeyC: 'ㅊ', KeyV: 'ㅍ', KeyB: 'ㅠ', KeyN: 'ㅜ', KeyM: 'ㅡ'
+};
+
+const SHIFT_JAMO = { KeyQ: 'ㅃ', KeyW: 'ㅉ', KeyE: 'ㄸ', KeyR: 'ㄲ', KeyT: 'ㅆ', KeyO: 'ㅒ', KeyP: 'ㅖ' };
+
+// Compound vowels are typed as two keys, e.g. ㅗ then ㅏ for ㅘ
+const VOWEL_PARTS = {
+    'ㅘ': ['ㅗ', 'ㅏ'], 'ㅙ': ['ㅗ', 'ㅐ'], 'ㅚ': ['ㅗ', 'ㅣ'], 'ㅝ': ['ㅜ', 'ㅓ'],
+    'ㅞ': ['ㅜ', 'ㅔ'], 'ㅟ': ['ㅜ', 'ㅣ'], 'ㅢ': ['ㅡ', 'ㅣ']
+};
+
+function isVowelJamo(jamo) {
+    return MEDIAL_JAMO.includes(jamo);
+}
+
+// Two jamo that combine into one (compound vowel or final cluster), or null
+function combineJamo(parts, first, second) {
+    const entry = Object.entries(parts).find(([, [a, b]]) => a === first && b === second);
+    return entry ? entry[0] : null;
+}
+
+// Where a jamo lives on the keyboard: { code, shift }
+function findKeyForJamo(jamo) {
+    const shifted = Object.keys(SHIFT_JAMO).find(code => SHIFT_JAMO[code] === jamo);
+    if (shifted) return { code: shifted, shift: true };
+    const code = Object.keys(KEY_JAMO).find(c => KEY_JAMO[c] === jamo);
+    return code ? { code, shift: false } : null;
+}
+
+// ============================================
+// IME Automaton
+// ============================================
+
+// State: committed text plus the block still being composed ({ initial, medial, final }, any may be null)
+function createImeState() {
+    return { text: '', block: null };
+}
+
+function renderImeBlock(block) {
+    if (!block) return '';
+    if (block.initial && block.medial) return composeSyllable(block.initial, block.medial, block.final);
+    return block.initial || block.medial;
+}
+
+function commitBlock(state) {
+    return { text: state.text + renderImeBlock(state.block), block: null };
+}
+
+// Feed one keystroke (a jamo or ' ') and return the next state
+function imeInput(state, key) {
+    const block = state.block;
+
+    if (key === ' ') {
+        const committed = commitBlock(state);
+        return { ...committed, text: committed.text + ' ' };
+    }
+
+    if (isVowelJamo(key)) {
+        if (!block) return { ...state, block: { initial: null, medial: key, final: null } };
+
+        if (block.final) {
+            // A vowel after a final consonant steals it (the last half of a cluster) as its initial: 닭+ㅣ = 달기
+            const parts = CLUSTER_PARTS[block.final];
+            const keep = parts ? parts[0] : null;
+            const moved = parts ? parts[1] : block.final;
+            const prev = commitBlock({ text: state.text, block: { ...block, final: keep } });
+            return { ...prev, block: { initial: moved, medial: key, final: null } };
+        }
+        if (!block.medial) return { ...state, block: { ...block, medial: key } };
+
+        const compound = combineJamo(VOWEL_PARTS, block.medial, key);
+        if (compound) return { ...state, block: { ...block, medial: compound } };
+        return { ...commitBlock(state), block: { initial: null, medial: key, final: null } };
+    }
+
+    // Consonant
+    if (block && block.initial && block.medial) {
+        if (!block.final && FINAL_JAMO.includes(key)) {
+            return { ...state, block: { ...block, final: key } };
+        }
+        const cluster = block.final && combineJamo(CLUSTER_PARTS, block.final, key);
+        if (cluster) return { ...state, block: { ...block, final: cluster } };
+    }
+    return { ...commitBlock(state), block: { initial: key, medial: null, final: null } };
+}
+
+// Run a whole keystroke sequence; the composing block is shown as part of the text
+function typeKeys(keys) {
+    const state = keys.reduce(imeInput, createImeState());
+    return { text: state.text + renderImeBlock(state.block), composing: renderImeBlock(state.block) };
+}
+
+// The keystrokes that produce a word, e.g. 닭 -> ㄷ ㅏ ㄹ ㄱ
+function getKeystrokes(korean) {
+    return Array.from(korean).flatMap(ch => {
+        const parts = decomposeSyllable(ch);
+        if (!parts) return [ch];
+        return [
+            parts.initial,
+            ...(VOWEL_PARTS[parts.medial] || [parts.medial]),
+            ...(parts.final ? CLUSTER_PARTS[parts.final] || [parts.final] : [])
+        ];
+    });
+}
+
+// ============================================
+// State
+// ============================================
+
+let typingCategory = 'greetings';
+let typingWords = [];
+let typingIdx = 0;
+let typingKeys = [];       // Keystrokes for the current word (Backspace removes the last one)
+let typingShift = false;   // On-screen Shift, held for one key
+let typingWordStart = null;
+let typingStats = { keys: 0, correctKeys: 0, words: 0, ms: 0 };
+
+function getTypingTarget() {
+    return typingWords[typingIdx] || null;
+}
+
+// ============================================
+// Rendering
+// ============================================
+
+function renderTypingTrainer() {
+    const container = document.getElementById('typing-section');
+    if (!container || !hangulData) return;
+
+    const catButtons = Object.keys(hangulData.words).map(cat =>
+        `<button class="cat-btn ${cat === typingCategory ? 'active' : ''}" onclick="setTypingCategory(${jsString(cat)})">${escapeHtml(getCategoryLabel(cat))}</button>`
+    ).join('');
+
+    container.innerHTML = `
+        <div class="section-header">
+            <h2>${t('typing.title')}</h2>
+            <p>${t('typing.intro')}</p>
+        </div>
+        <div class="word-categories">${catButtons}</div>
+        <div class="typing-card">
+            <div id="typing-prompt"></div>
+            <div class="typing-output" id="typing-output"></div>
+            <div class="builder-actions">
+                <button class="builder-btn secondary" onclick="skipTypingWord()">${t('typing.skip')}</button>
+            </div>
+        </div>
+        <div class="typing-stats" id="typing-stats"></div>
+        <div class="typing-keyboard" id="typing-keyboard"></div>`;
+
+    if (typingWords.length === 0) startTypingDrill();
+    renderTypingWord();
+}
+
+function renderTypingWord() {
+    const word = getTypingTarget();
+    const prompt = document.getElementById('typing-prompt');
+    if (!prompt || !word) return;
+
+    prompt.innerHTML = `
+        <div class="typing-target" onclick="playWord(${jsString(word.korean)})" title="${t('typing.listen')}">${escapeHtml(word.korean)}</div>
+        <div class="typing-meta"><span class="typing-rom">${romanizePronunciation(word.pronunciation)} &middot; </span>${escapeHtml(getMeaning(word))}</div>`;
+    preloadAudio('word', word.korean); // Played when the word is finished
+    renderTypingOutput();
+}
+
+// Typed syllables are marked correct/wrong against the target; the composing block is underlined
+function renderTypingOutput() {
+    const word = getTypingTarget();
+    const el = document.getElementById('typing-output');
+    if (!el || !word) return;
+
+    const { text, composing } = typeKeys(typingKeys);
+    const target = Array.from(word.korean);
+    const typed = Array.from(text);
+    const html = typed.map((ch, i) => {
+        const isComposing = composing && i === typed.length - 1;
+        const cls = isComposing ? 'composing' : ch === target[i] ? 'correct' : 'wrong';
+        return `<span class="typed-char ${cls}">${ch}</span>`;
+    }).join('');
+
+    el.innerHTML = html || `<span class="typing-placeholder">${t('typing.placeholder')}</span>`;
+    renderTypingKeyboard();
+    renderTypingStats();
+}
+
+function renderTypingKeyboard() {
+    const el = document.getElementById('typing-keyboard');
+    if (!el) return;
+
+    const next = getNextTypingKey();
+    const showShift = typingShift || (next && next.shift);
+    const rows = KEYBOARD_ROWS.map((row, r) => {
+        const keys = row.map(code => {
+            const jamo = showShift && SHIFT_JAMO[code] ? SHIFT_JAMO[code] : KEY_JAMO[code];
+            const kind = isVowelJamo(KEY_JAMO[code]) ? 'vowel' : 'consonant';
+            const isNext = next && next.code === code;
+            return `<button class="kb-key ${kind} ${isNext ? 'kb-next' : ''}" data-code="${code}" onclick="pressTypingKey('${code}')">
+                ${SHIFT_JAMO[code] ? `<span class="kb-shift">${SHIFT_JAMO[code]}</span>` : ''}
+                <span class="kb-jamo">${jamo}</span>
+                <span class="kb-latin">${code.slice(3)}</span>
+            </button>`;
+        }).join('');
+        const shiftKey = r === 2
+            ? `<button class="kb-key kb-wide ${typingShift ? 'active' : ''} ${next && next.shift ? 'kb-next' : ''}" onclick="toggleTypingShift()">${t('typing.shift')}</button>`
+            : '';
+        const backKey = r === 2
+            ? '<button class="kb-key kb-wide" onclick="pressTypingKey(\'Backspace\')">&larr;</button>'
+            : '';
+        return `<div class="kb-row">${shiftKey}${keys}${backKey}</div>`;
+    }).join('');
+
+    el.innerHTML = rows + `<div class="kb-row"><button class="kb-key kb-space ${next && next.code === 'Space' ? 'kb-next' : ''}" onclick="pressTypingKey('Space')">${t('typing.space')}</button></div>`;
+}
+
+function renderTypingStats() {
+    const el = document.getElementById('typing-stats');
+    if (!el) return;
+    const { keys, correctKeys, words, ms } = typingStats;
+    const accuracy = keys === 0 ? '-' : Math.round(correctKeys / keys * 100) + '%';
+    const wpm = ms === 0 ? '-' : Math.round(words / (ms / 60000));
+    el.innerHTML = `
+        <span>${t('typing.words', { count: words })}</span>
+        <span>${t('typing.accuracy', { accuracy })}</span>
+        <span>${t('typing.wpm', { wpm })}</span>`;
+}
+
+// ============================================
+// Drill Flow
+// ============================================
+
+function startTypingDrill() {
+    typingWords = shuffleArray(hangulData.words[typingCategory] || []);
+    typingIdx = 0;
+    resetTypingWord();
+}
+
+function resetTypingWord() {
+    typingKeys = [];
+    typingWordStart = null;
+}
+
+function setTypingCategory(cat) {
+    typingCategory = cat;
+    typingWords = [];
+    renderTypingTrainer();
+}
+
+function skipTypingWord() {
+    typingIdx = (typingIdx + 1) % typingWords.length;
+    resetTypingWord();
+    renderTypingWord();
+}
+
+// Next key the learner should press, or null once they have gone off track
+function getNextTypingKey() {
+    const word = getTypingTarget();
+    if (!word) return null;
+    const expected = getKeystrokes(word.korean);
+    if (typingKeys.some((k, i) => k !== expected[i])) return null;
+    const jamo = expected[typingKeys.length];
+    if (!jamo) return null;
+    return jamo === ' ' ? { code: 'Space', shift: false } : findKeyForJamo(jamo);
+}
+
+function toggleTypingShift() {
+    typingShift = !typingShift;
+    renderTypingKeyboard();
+}
+
+// code: a KeyboardEvent.code ('KeyR', 'Space', 'Backspace')
+function pressTypingKey(code, shift) {
+    const word = getTypingTarget();
+    // Between finishing a word and the next one appearing, keys are ignored
+    if (!word || typeKeys(typingKeys).text === word.korean) return;
+
+    if (code === 'Backspace') {
+        typingKeys.pop();
+        renderTypingOutput();
+        return;
+    }
+
+    const useShift = shift || typingShift;
+    const jamo = code === 'Space' ? ' ' : (useShift && SHIFT_JAMO[code]) || KEY_JAMO[code];
+    if (!jamo) return;
+    typingShift = false;
+    flashTypingKey(code);
+
+    if (typingWordStart === null) typingWordStart = Date.now();
+
+    // Only keystrokes made while still on track are scored, so one slip is counted once
+    const expected = getKeystrokes(word.korean);
+    const onTrack = typingKeys.every((k, i) => k === expected[i]);
+    if (onTrack) {
+        typingStats.keys++;
+        if (jamo === expected[typingKeys.length]) typingStats.correctKeys++;
+    }
+
+    typingKeys.push(jamo);
+    renderTypingOutput();
+
+    if (typeKeys(typingKeys).text === word.korean) completeTypingWord(word);
+}
+
+function completeTypingWord(word) {
+    typingStats.words++;
+    typingStats.ms += Date.now() - typingWordStart;
+    renderTypingStats();
+
+    const output = document.getElementById('typing-output');
+    if (output) output.classList.add('typing-done');
+    playWord(word.korean);
+
+    const idx = typingIdx;
+    setTimeout(() => {
+        // Ignore if the learner already moved on (skip or category change)
+        if (typingIdx !== idx || getTypingTarget() !== word) return;
+        if (output) output.classList.remove('typing-done');
+        typingIdx++;
+        if (typingIdx >= typingWords.length) startTypingDrill();
+        else resetTypingWord();
+        renderTypingWord();
+    }, 900);
+}
+
+function flashTypingKey(code) {
+    const key = document.querySelector(`.kb-key[data-code="${code}"]`);
+    if (!key) return;
+    key.classList.add('kb-pressed');
+    setTimeout(() => key.classList.remove('kb-pressed'), 150);
+}
+
+// Physical keys are read by position (event.code), so this works with a Korean IME switched on too
+document.addEventListener('keydown', e => {
+    if (currentSection !== 'typing' || e.ctrlKey || e.metaKey || e.altKey) return;
+    if (e.target.closest && e.target.closest('input, textarea, select')) return;
+    // Space on a focused button or link presses it (Skip, the nav, the on-screen keys);
+    // letters and Backspace still type, so a clicked on-screen key doesn't stall the keyboard
+    if (e.code === 'Space' && e.target.closest && e.target.closest('button, a, [role="button"]')) return;
+    if (!(e.code in KEY_JAMO) && e.code !== 'Space' && e.code !== 'Backspace') return;
+    e.preventDefault();
+    pressTypingKey(e.code, e.shiftKey);
+});
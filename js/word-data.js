@@ -0,0 +1,161 @@
+/**
+ * Hangul Explorer - Word Data Layer
+ * Derives syllables and jamo breakdowns from Unicode and validates hangul-data.json on load
+ */
+
+// ============================================
+// Derivation
+// ============================================
+
+// Syllable blocks of a word, in order (spaces and punctuation are dropped)
+function deriveSyllables(korean) {
+    return Array.from(korean).filter(ch => decomposeSyllable(ch) !== null);
+}
+
+// Breakdown entries in the same shape as the hand-authored JSON: { initial, vowel, final }
+function deriveBreakdown(syllables) {
+    return syllables.map(syl => {
+        const parts = decomposeSyllable(syl);
+        return { initial: parts.initial, vowel: parts.medial, final: parts.final };
+    });
+}
+
+// Fill in syllables/breakdown and the spoken form for one word from its korean string
+function deriveWord(word) {
+    const syllables = deriveSyllables(word.korean);
+    return {
+        ...word,
+        syllables,
+        breakdown: deriveBreakdown(syllables),
+        pronunciation: getPronunciation(word.korean)
+    };
+}
+
+// Validate every word against its derived form, then replace the authored arrays
+// so the UI always renders chips that match the actual korean string
+function prepareWordData(data) {
+    const issues = validateHangulData(data);
+    Object.keys(data.words).forEach(cat => {
+        data.words[cat] = data.words[cat].map(deriveWord);
+    });
+    return issues;
+}
+
+// ============================================
+// Validation
+// ============================================
+
+function validateHangulData(data) {
+    const issues = [];
+    const add = (level, path, message) => issues.push({ level, path, message });
+
+    ['consonants', 'vowels'].forEach(group => {
+        (data[group] || []).forEach((c, i) => {
+            if (!c.audioFile) add('warning', `${group}[${i}] ${c.char}`, 'Missing audioFile');
+            if (!c.romanization) add('warning', `${group}[${i}] ${c.char}`, 'Missing romanization');
+        });
+    });
+
+    Object.keys(data.words || {}).forEach(cat => {
+        if (!hasMessage('category.' + cat)) {
+            add('warning', `words.${cat}`, `Unknown category "${cat}" (no category.${cat} label in data/i18n)`);
+        }
+
+        data.words[cat].forEach((word, i) => {
+            const path = `words.${cat}[${i}] ${word.korean || ''}`;
+            validateWord(word).forEach(issue => add(issue.level, path, issue.message));
+        });
+    });
+
+    return issues;
+}
+
+function validateWord(word) {
+    const issues = [];
+    const add = (level, message) => issues.push({ level, message });
+
+    if (!word.korean) {
+        add('error', 'Missing korean');
+        return issues;
+    }
+    if (!word.english) add('error', 'Missing english');
+    if (!word.romanization) add('error', 'Missing romanization');
+
+    // Translated meanings are optional (English is the fallback), but misspelled locales would be silently ignored
+    Object.keys(word.i18n || {}).forEach(locale => {
+        if (!Object.hasOwn(LOCALES, locale)) add('warning', `i18n.${locale} is not a supported locale`);
+        else if (!word.i18n[locale].meaning) add('warning', `i18n.${locale} has no meaning`);
+    });
+
+    const syllables = deriveSyllables(word.korean);
+    if (syllables.length !== Array.from(word.korean.replace(/\s/g, '')).length) {
+        add('warning', 'Contains characters that are not complete syllable blocks');
+    }
+
+    // Authored arrays are optional - only compare when present
+    if (word.syllables && word.syllables.join('') !== syllables.join('')) {
+        add('error', `syllables [${word.syllables.join(', ')}] do not match "${word.korean}"`);
+    }
+    if (word.breakdown) {
+        const expected = deriveBreakdown(syllables);
+        if (word.breakdown.length !== expected.length) {
+            add('error', `breakdown has ${word.breakdown.length} entries, expected ${expected.length}`);
+        }
+        expected.forEach((exp, j) => {
+            const bd = word.breakdown[j];
+            if (!bd) return;
+            if (bd.initial !== exp.initial || bd.vowel !== exp.vowel || (bd.final || null) !== exp.final) {
+                const got = `${bd.initial}+${bd.vowel}${bd.final ? '+' + bd.final : ''}`;
+                const want = `${exp.initial}+${exp.vowel}${exp.final ? '+' + exp.final : ''}`;
+                add('error', `breakdown[${j}] is ${got}, but ${syllables[j]} is ${want}`);
+            }
+        });
+    }
+
+    return issues;
+}
+
+// ============================================
+// Developer Report
+// ============================================
+
+// Add ?dev to the URL to see the report on the page instead of only in the console
+function isDevMode() {
+    return new URLSearchParams(window.location.search).has('dev');
+}
+
+function reportDataIssues(issues) {
+    if (issues.length > 0) {
+        console.groupCollapsed(`hangul-data.json: ${issues.length} issue(s)`);
+        issues.forEach(issue => {
+            const log = issue.level === 'error' ? console.error : console.warn;
+            log(`${issue.path}: ${issue.message}`);
+        });
+        console.groupEnd();
+    }
+
+    if (isDevMode()) renderDevPanel(issues);
+}
+
+function renderDevPanel(issues) {
+    let panel = document.getElementById('dev-panel');
+    if (!panel) {
+        panel = document.createElement('div');
+        panel.id = 'dev-panel';
+        panel.className = 'dev-panel';
+        document.body.appendChild(panel);
+    }
+
+    const errorCount = issues.filter(i => i.level === 'error').length;
+    const rows = issues.map(issue => `
+        <li class="dev-issue ${issue.level}">
+            <span class="dev-issue-path">${issue.path}</span>
+            <span class="dev-issue-msg">${issue.message}</span>
+        </li>`).join('');
+
+    panel.innerHTML = `
+        <button class="dev-panel-toggle" onclick="this.parentElement.classList.toggle('open')">
+            Data check: ${issues.length === 0 ? 'all good' : `${errorCount} error(s), ${issues.length - errorCount} warning(s)`}
+        </button>
+        <ul class="dev-issue-list">${rows || '<li class="dev-issue">No issues found.</li>'}</ul>`;
+}
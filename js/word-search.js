@@ -0,0 +1,209 @@
+/**
+ * Hangul Explorer - Word Search
+ * Searches every word category by Korean, meaning or romanization, and by spelling patterns
+ * taken from the syllable breakdown (a letter, a 받침, compound vowels, ...)
+ */
+
+// ============================================
+// State
+// ============================================
+
+const SEARCH_DECK = 'search'; // Pseudo-category holding the current search results
+
+// Toggle chips under the search box; each tests one syllable breakdown { initial, vowel, final }
+const SEARCH_PATTERNS = {
+    'compound-vowel': { label: 'search.compoundVowel', test: bd => getJamoType('vowels', bd.vowel) === 'compound' },
+    'double-consonant': { label: 'search.doubleConsonant', test: bd => getJamoType('consonants', bd.initial) === 'double' || getJamoType('consonants', bd.final) === 'double' },
+    'aspirated': { label: 'search.aspirated', test: bd => getJamoType('consonants', bd.initial) === 'aspirated' },
+    'batchim': { label: 'search.batchim', test: bd => bd.final !== null },
+    'double-batchim': { label: 'search.doubleBatchim', test: bd => bd.final in CLUSTER_PARTS }
+};
+
+// "ㄹ 받침", "ㄹ받침" or "ㄹ final": words with that 받침
+const FINAL_QUERY = /([ㄱ-ㅎ])\s*(?:받침|batchim|final)/gi;
+const JAMO_QUERY = /^[ㄱ-ㅣ]$/;
+
+let wordSearch = { text: '', patterns: [] };
+let searchReturnCategory = null; // Category to go back to when the search is cleared
+
+function getJamoType(group, char) {
+    const data = char && hangulData[group].find(c => c.char === char);
+    return data ? data.type : null;
+}
+
+// ============================================
+// Matching
+// ============================================
+
+// { finals: ['ㄹ'], letters: ['ㄲ'], terms: ['rice'] } - every part has to match
+function parseWordSearch(text) {
+    const finals = [];
+    const rest = text.replace(FINAL_QUERY, (match, char) => {
+        finals.push(char);
+        return ' ';
+    });
+    const tokens = rest.split(/\s+/).filter(Boolean);
+    return {
+        finals,
+        letters: tokens.filter(token => JAMO_QUERY.test(token)),
+        terms: tokens.filter(token => !JAMO_QUERY.test(token)).map(token => token.toLowerCase())
+    };
+}
+
+// A double 받침 counts for both of its letters (읽다 has a ㄹ and a ㄱ 받침)
+function finalHas(final, char) {
+    return final === char || (final in CLUSTER_PARTS && CLUSTER_PARTS[final].includes(char));
+}
+
+function wordHasLetter(word, char) {
+    return word.breakdown.some(bd => bd.initial === char || bd.vowel === char || finalHas(bd.final, char));
+}
+
+// Hyphens, apostrophes, spaces and breves are ignored, so "annyeong" and "an-nyŏng" both match
+function normalizeRomanization(text) {
+    return text.normalize('NFD').replace(/[\u0300-\u036f'\-\s]/g, '').toLowerCase();
+}
+
+function wordMatchesTerm(word, term) {
+    if (word.korean.includes(term)) return true;
+    if (word.english.toLowerCase().includes(term) || getMeaning(word).toLowerCase().includes(term)) return true;
+    const rom = normalizeRomanization(term);
+    return rom !== '' && [word.pronunciation.romanization, romanizePronunciation(word.pronunciation)]
+        .some(text => normalizeRomanization(text).includes(rom));
+}
+
+function wordMatchesSearch(word, query, patterns) {
+    return query.finals.every(char => word.breakdown.some(bd => finalHas(bd.final, char))) &&
+        query.letters.every(char => wordHasLetter(word, char)) &&
+        query.terms.every(term => wordMatchesTerm(word, term)) &&
+        patterns.every(id => word.breakdown.some(SEARCH_PATTERNS[id].test));
+}
+
+// Every built-in and custom word once, in category order
+function getSearchResults() {
+    const query = parseWordSearch(wordSearch.text);
+    return getUniqueWords().filter(word => wordMatchesSearch(word, query, wordSearch.patterns));
+}
+
+function isWordSearchActive() {
+    return wordSearch.text.trim() !== '' || wordSearch.patterns.length > 0;
+}
+
+// First category a result comes from, shown on its card
+function getWordCategory(word) {
+    return getWordCategories().find(cat => getCategoryWords(cat).some(w => w.korean === word.korean));
+}
+
+// ============================================
+// Searching
+// ============================================
+
+function setWordSearch(text) {
+    wordSearch.text = text;
+    applyWordSearch();
+}
+
+function toggleSearchPattern(id, btn) {
+    const on = !wordSearch.patterns.includes(id);
+    wordSearch.patterns = on ? [...wordSearch.patterns, id] : wordSearch.patterns.filter(p => p !== id);
+    if (btn) {
+        btn.classList.toggle('active', on);
+        btn.setAttribute('aria-pressed', String(on));
+    }
+    applyWordSearch();
+}
+
+// Results replace the open category while there is a query; clearing it goes back
+function applyWordSearch() {
+    if (!isWordSearchActive()) {
+        if (currentWordCategory === SEARCH_DECK) switchWordCategory(searchReturnCategory || getWordCategories()[0]);
+        return;
+    }
+
+    if (currentWordCategory !== SEARCH_DECK) searchReturnCategory = currentWordCategory;
+    currentWordCategory = SEARCH_DECK;
+    wordCardIdx = 0;
+    wordFlipped = false;
+    shuffledWords = null;
+    document.querySelectorAll('.cat-btn').forEach(btn => btn.classList.remove('active'));
+    if (wordViewMode === 'grid') {
+        renderWordGrid();
+    } else {
+        renderWordFlashcards();
+    }
+    updateSearchSummary();
+    syncRoute(false);
+}
+
+// Leaving the results for a category empties the search box
+function resetWordSearch() {
+    wordSearch = { text: '', patterns: [] };
+    const input = document.getElementById('word-search-input');
+    if (input) input.value = '';
+    document.querySelectorAll('.search-chip').forEach(chip => {
+        chip.classList.remove('active');
+        chip.setAttribute('aria-pressed', 'false');
+    });
+    updateSearchSummary();
+}
+
+// "See words with this letter" on the consonant and vowel cells
+function showWordsWithLetter(char) {
+    if (currentWordCategory !== SEARCH_DECK) searchReturnCategory = currentWordCategory;
+    wordSearch = { text: char, patterns: [] };
+    currentWordCategory = SEARCH_DECK;
+    wordCardIdx = 0;
+    shuffledWords = null;
+    wordViewMode = 'grid';
+    renderWordDiscovery();
+    switchSection('words');
+    window.scrollTo(0, 0);
+}
+
+// Search state from a '#/words/search?q=ㄲ&p=compound-vowel' link
+function restoreWordSearch(params) {
+    wordSearch = {
+        text: params.get('q') || '',
+        patterns: (params.get('p') || '').split(',').filter(id => id in SEARCH_PATTERNS)
+    };
+}
+
+function getWordSearchRoute() {
+    const params = [];
+    if (wordSearch.text.trim()) params.push('q=' + encodeURIComponent(wordSearch.text.trim()));
+    if (wordSearch.patterns.length > 0) params.push('p=' + encodeURIComponent(wordSearch.patterns.join(',')));
+    return params.length > 0 ? '?' + params.join('&') : '';
+}
+
+// ============================================
+// Rendering
+// ============================================
+
+function renderWordSearch() {
+    const chips = Object.entries(SEARCH_PATTERNS).map(([id, pattern]) => {
+        const on = wordSearch.patterns.includes(id);
+        return `<button class="search-chip ${on ? 'active' : ''}" aria-pressed="${on}" onclick="toggleSearchPattern('${id}', this)">${t(pattern.label)}</button>`;
+    }).join('');
+
+    return `
+        <div class="word-search">
+            <input type="search" class="word-search-input" id="word-search-input" value="${escapeHtml(wordSearch.text)}"
+                   placeholder="${t('search.placeholder')}" aria-label="${t('search.label')}" aria-describedby="word-search-hint"
+                   oninput="setWordSearch(this.value)">
+            <div class="search-chips" role="group" aria-label="${t('search.patterns')}">${chips}</div>
+            <p class="word-search-hint" id="word-search-hint">${t('search.hint')}</p>
+            <p class="word-search-summary" id="word-search-summary" aria-live="polite">${getSearchSummary()}</p>
+        </div>`;
+}
+
+function getSearchSummary() {
+    if (currentWordCategory !== SEARCH_DECK) return '';
+    const results = getSearchResults();
+    const categories = new Set(results.map(getWordCategory));
+    return t('search.summary', { count: results.length, categories: categories.size });
+}
+
+function updateSearchSummary() {
+    const el = document.getElementById('word-search-summary');
+    if (el) el.textContent = getSearchSummary();
+}
@@ -0,0 +1,219 @@
+#!/usr/bin/env python3
+"""
+Hangul Explorer - Audio Manifest Builder
+
+Scans audio/ and writes data/audio-manifest.json, which maps every jamo, syllable
+and word to the clips that exist for it (best first) with their durations, so the
+app never has to guess file paths at playback time.
+
+Run from the repository root after adding or regenerating audio:
+
+    python3 scripts/build_audio_manifest.py
+"""
+
+import json
+import os
+import struct
+import sys
+
+ROOT = os.path.dirname(os.path.dirname(os.path.abspath(__file__)))
+DATA_FILE = os.path.join(ROOT, 'data', 'hangul-data.json')
+MANIFEST_FILE = os.path.join(ROOT, 'data', 'audio-manifest.json')
+
+# Who is speaking in each kind of clip (shown in the app and in coverage reports)
+VOICES = {
+    'recorded': 'Native speaker recording',
+    'tts': 'Korean text-to-speech (ko-KR)'
+}
+
+# Same tables as INITIAL_JAMO / MEDIAL_JAMO / INITIAL_ROM / MEDIAL_ROM in js/hangul.js
+INITIAL_JAMO = 'ㄱㄲㄴㄷㄸㄹㅁㅂㅃㅅㅆㅇㅈㅉㅊㅋㅌㅍㅎ'
+MEDIAL_JAMO = 'ㅏㅐㅑㅒㅓㅔㅕㅖㅗㅘㅙㅚㅛㅜㅝㅞㅟㅠㅡㅢㅣ'
+INITIAL_ROM = ['g', 'kk', 'n', 'd', 'tt', 'r', 'm', 'b', 'pp', 's', 'ss', '', 'j', 'jj', 'ch', 'k', 't', 'p', 'h']
+MEDIAL_ROM = ['a', 'ae', 'ya', 'yae', 'eo', 'e', 'yeo', 'ye', 'o', 'wa', 'wae', 'oe', 'yo', 'u', 'wo', 'we', 'wi', 'yu', 'eu', 'ui', 'i']
+
+
+# ============================================
+# Durations
+# ============================================
+
+MP3_BITRATES = {
+    1: [0, 32, 40, 48, 56, 64, 80, 96, 112, 128, 160, 192, 224, 256, 320],  # MPEG-1 Layer III
+    2: [0, 8, 16, 24, 32, 40, 48, 56, 64, 80, 96, 112, 128, 144, 160]       # MPEG-2/2.5 Layer III
+}
+MP3_SAMPLE_RATES = {3: [44100, 48000, 32000], 2: [22050, 24000, 16000], 0: [11025, 12000, 8000]}
+
+
+def mp3_duration(data):
+    """Seconds of audio in an MP3, from the Xing/Info frame count or by walking the frames."""
+    pos = 0
+    if data[:3] == b'ID3':
+        size = data[6:10]
+        pos = 10 + ((size[0] << 21) | (size[1] << 14) | (size[2] << 7) | size[3])
+
+    frames = 0
+    sample_rate = samples_per_frame = None
+    while pos + 4 <= len(data):
+        header = struct.unpack('>I', data[pos:pos + 4])[0]
+        if header >> 21 != 0x7FF:
+            pos += 1
+            continue
+        version = (header >> 19) & 3        # 3 = MPEG-1, 2 = MPEG-2, 0 = MPEG-2.5
+        bitrate_idx = (header >> 12) & 15
+        rate_idx = (header >> 10) & 3
+        if version == 1 or bitrate_idx in (0, 15) or rate_idx == 3:
+            pos += 1
+            continue
+
+        sample_rate = MP3_SAMPLE_RATES[version][rate_idx]
+        samples_per_frame = 1152 if version == 3 else 576
+        bitrate = MP3_BITRATES[1 if version == 3 else 2][bitrate_idx] * 1000
+        padding = (header >> 9) & 1
+        length = (144 if version == 3 else 72) * bitrate // sample_rate + padding
+
+        # The first frame of a LAME file may carry the total frame count
+        if frames == 0:
+            frame = data[pos:pos + length]
+            for tag in (b'Xing', b'Info'):
+                i = frame.find(tag)
+                if i != -1 and struct.unpack('>I', frame[i + 4:i + 8])[0] & 1:
+                    total = struct.unpack('>I', frame[i + 8:i + 12])[0]
+                    return round(total * samples_per_frame / sample_rate, 2)
+
+        frames += 1
+        pos += length
+
+    if not frames:
+        return None
+    return round(frames * samples_per_frame / sample_rate, 2)
+
+
+def read_vint(data, pos, keep_marker=False):
+    first = data[pos]
+    length = 1
+    while length <= 8 and not first & (0x80 >> (length - 1)):
+        length += 1
+    value = first if keep_marker else first & (0xFF >> length)
+    for b in data[pos + 1:pos + length]:
+        value = (value << 8) | b
+    return value, pos + length
+
+
+WEBM_SEGMENT, WEBM_INFO, WEBM_TRACKS, WEBM_TRACK_ENTRY = 0x18538067, 0x1549A966, 0x1654AE6B, 0xAE
+WEBM_TIMECODE_SCALE, WEBM_DURATION, WEBM_CODEC_ID = 0x2AD7B1, 0x4489, 0x86
+
+
+def webm_info(data):
+    """(seconds, codec) for a WebM file; seconds is None when the recorder never wrote a duration."""
+    scale = 1000000
+    duration = codec = None
+    pos = 0
+    while pos < len(data):
+        element, pos = read_vint(data, pos, keep_marker=True)
+        size, pos = read_vint(data, pos)
+        if element in (WEBM_SEGMENT, WEBM_INFO, WEBM_TRACKS, WEBM_TRACK_ENTRY):
+            continue  # Descend into container elements (the segment size may be "unknown")
+        body = data[pos:pos + size]
+        if element == WEBM_TIMECODE_SCALE:
+            scale = int.from_bytes(body, 'big')
+        elif element == WEBM_DURATION:
+            duration = struct.unpack('>f' if size == 4 else '>d', body)[0]
+        elif element == WEBM_CODEC_ID and codec is None:
+            codec = body.decode('ascii', 'replace')
+        elif element == 0x1F43B675:  # First cluster: all header elements have been seen
+            break
+        pos += size
+
+    seconds = round(duration * scale / 1e9, 2) if duration else None
+    return seconds, codec
+
+
+def describe(path, voice):
+    """Manifest entry for one audio file, or None if it does not exist."""
+    full = os.path.join(ROOT, path)
+    if not os.path.isfile(full):
+        return None
+    with open(full, 'rb') as f:
+        data = f.read()
+
+    if path.endswith('.webm'):
+        duration, codec = webm_info(data)
+        codecs = {'A_OPUS': 'opus', 'A_VORBIS': 'vorbis'}.get(codec)
+        mime = 'audio/webm' + (f'; codecs={codecs}' if codecs else '')
+    else:
+        duration = mp3_duration(data)
+        mime = 'audio/mpeg'
+    return {'src': path, 'type': mime, 'voice': voice, 'duration': duration}
+
+
+def sources(*candidates):
+    """Existing files among (path, voice) candidates, best first."""
+    return [entry for entry in (describe(p, v) for p, v in candidates) if entry]
+
+
+# ============================================
+# Manifest
+# ============================================
+
+def syllable(initial, medial):
+    return chr(0xAC00 + (initial * 21 + medial) * 28)
+
+
+def build_manifest(data):
+    jamo, syllables, words = {}, {}, {}
+
+    for item in data['consonants'] + data['vowels']:
+        base = os.path.splitext(item['audioFile'])[0]
+        found = sources(('audio/' + base + '.webm', 'recorded'), ('audio/' + base + '.mp3', 'recorded'),
+                        ('audio/tts/' + base + '.mp3', 'tts'))
+        if found:
+            jamo[item['char']] = found
+
+    # TTS files exist for open syllables only; 아-row files carry a _syl suffix
+    for i, rom_i in enumerate(INITIAL_ROM):
+        for m, rom_m in enumerate(MEDIAL_ROM):
+            name = rom_m + '_syl' if rom_i == '' else rom_i + rom_m
+            found = sources(('audio/tts/syllables/' + name + '.mp3', 'tts'))
+            if found:
+                syllables[syllable(i, m)] = found
+
+    for word in (w for cat in data['words'].values() for w in cat):
+        name = word['romanization'].replace('-', '')
+        found = sources(('audio/tts/words/' + name + '.mp3', 'tts'))
+        if found:
+            words[word['korean']] = found
+
+    return {'version': 1, 'voices': VOICES, 'jamo': jamo, 'syllables': syllables, 'words': words}
+
+
+def find_orphans(manifest):
+    """Audio files on disk that no entry points to (usually a naming mistake)."""
+    used = {s['src'] for group in ('jamo', 'syllables', 'words') for entries in manifest[group].values() for s in entries}
+    orphans = []
+    for folder, _, files in os.walk(os.path.join(ROOT, 'audio')):
+        for name in files:
+            path = os.path.relpath(os.path.join(folder, name), ROOT).replace(os.sep, '/')
+            if path not in used:
+                orphans.append(path)
+    return sorted(orphans)
+
+
+def main():
+    with open(DATA_FILE, encoding='utf-8') as f:
+        data = json.load(f)
+
+    manifest = build_manifest(data)
+    with open(MANIFEST_FILE, 'w', encoding='utf-8') as f:
+        f.write(json.dumps(manifest, indent=2, ensure_ascii=False))
+
+    counts = ', '.join(f"{len(manifest[g])} {g}" for g in ('jamo', 'syllables', 'words'))
+    print(f'Wrote {os.path.relpath(MANIFEST_FILE, ROOT)}: {counts}')
+    orphans = find_orphans(manifest)
+    if orphans:
+        print(f'{len(orphans)} audio file(s) not referenced by any entry:', file=sys.stderr)
+        for path in orphans:
+            print('  ' + path, file=sys.stderr)
+
+
+if __name__ == '__main__':
+    main()
@@ -0,0 +1,133 @@
+/**
+ * Hangul Explorer - Service Worker
+ * Caches the app shell on install and serves audio and data from the cache when offline
+ */
+
+// Bump SHELL_VERSION whenever a file in SHELL_FILES changes or a new script is added
+const SHELL_VERSION = 20;
+const SHELL_CACHE = 'hangul-shell-v' + SHELL_VERSION;
+const AUDIO_CACHE = 'hangul-audio-v1'; // Filled by js/offline.js, shared across shell versions
+
+const SHELL_FILES = [
+    './',
+    'index.html',
+    'manifest.webmanifest',
+    'icons/icon.svg',
+    'css/hangul.css',
+    'data/hangul-data.json',
+    'data/audio-manifest.json',
+    'data/i18n/en.json',
+    'data/i18n/es.json',
+    'data/i18n/vi.json',
+    'data/i18n/ja.json',
+    'js/i18n.js',
+    'js/hangul.js',
+    'js/audio-resolver.js',
+    'js/playback-controls.js',
+    'js/word-data.js',
+    'js/romanization.js',
+    'js/pronunciation.js',
+    'js/review-scheduler.js',
+    'js/custom-decks.js',
+    'js/deck-transfer.js',
+    'js/word-search.js',
+    'js/learned-letters.js',
+    'js/listening-quiz.js',
+    'js/typing-trainer.js',
+    'js/progress.js',
+    'js/backup.js',
+    'js/stroke-order.js',
+    'js/print-sheets.js',
+    'js/syllable-chart.js',
+    'js/block-layout.js',
+    'js/recorder.js',
+    'js/accessibility.js',
+    'js/router.js',
+    'js/offline.js'
+];
+
+self.addEventListener('install', event => {
+    event.waitUntil(
+        caches.open(SHELL_CACHE)
+            .then(cache => cache.addAll(SHELL_FILES))
+            .then(() => self.skipWaiting())
+    );
+});
+
+// Drop shell caches from older versions; the audio cache is kept
+self.addEventListener('activate', event => {
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(keys
+                .filter(key => key.startsWith('hangul-shell-') && key !== SHELL_CACHE)
+                .map(key => caches.delete(key))))
+            .then(() => self.clients.claim())
+    );
+});
+
+self.addEventListener('fetch', event => {
+    const request = event.request;
+    const url = new URL(request.url);
+    if (request.method !== 'GET' || url.origin !== self.location.origin) return;
+
+    if (url.pathname.includes('/audio/')) {
+        event.respondWith(serveAudio(request));
+    } else {
+        event.respondWith(serveShell(event));
+    }
+});
+
+// ============================================
+// Strategies
+// ============================================
+
+// Audio never changes once recorded: cache first, and remember anything fetched on demand
+async function serveAudio(request) {
+    const cache = await caches.open(AUDIO_CACHE);
+    const cached = await cache.match(request.url);
+    if (cached) return request.headers.has('range') ? sliceRange(request, cached) : cached;
+
+    try {
+        const response = await fetch(request.url);
+        if (response.ok) await cache.put(request.url, response.clone());
+        return response;
+    } catch (err) {
+        return Response.error();
+    }
+}
+
+// Shell and data: answer from the cache straight away (slow Wi-Fi must not block the page)
+// and refresh the copy in the background for the next visit
+async function serveShell(event) {
+    const cache = await caches.open(SHELL_CACHE);
+    const cached = await cache.match(event.request, { ignoreSearch: true });
+    const refresh = fetch(event.request)
+        .then(response => {
+            if (response.ok) cache.put(event.request, response.clone());
+            return response;
+        });
+
+    if (cached) {
+        event.waitUntil(refresh.catch(() => {}));
+        return cached;
+    }
+    return refresh.catch(() => Response.error());
+}
+
+// Safari only plays media that answers Range requests with 206 Partial Content
+async function sliceRange(request, response) {
+    const blob = await response.blob();
+    const match = /bytes=(\d*)-(\d*)/.exec(request.headers.get('range'));
+    const start = match && match[1] ? Number(match[1]) : 0;
+    const end = match && match[2] ? Number(match[2]) : blob.size - 1;
+
+    return new Response(blob.slice(start, end + 1), {
+        status: 206,
+        statusText: 'Partial Content',
+        headers: {
+            'Content-Type': response.headers.get('Content-Type') || blob.type,
+            'Content-Range': `bytes ${start}-${end}/${blob.size}`,
+            'Content-Length': String(end - start + 1)
+        }
+    });
+}
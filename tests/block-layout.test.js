@@ -0,0 +1,95 @@
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts } = require('./helpers/load-scripts');
+
+const app = loadScripts('hangul', 'block-layout');
+
+// [role, char] for each box, in drawing order
+function parts(initial, vowel, final) {
+    return Array.from(app.getBlockLayout(initial, vowel, final), box => [box.role, box.char]);
+}
+
+function rects(initial, vowel, final) {
+    return Array.from(app.getBlockLayout(initial, vowel, final), box => [...box.rect]);
+}
+
+function overlaps([l1, t1, w1, h1], [l2, t2, w2, h2]) {
+    return l1 < l2 + w2 && l2 < l1 + w1 && t1 < t2 + h2 && t2 < t1 + h1;
+}
+
+describe('getBlockLayout', () => {
+    test('puts a vertical vowel to the right of the initial', () => {
+        assert.deepEqual(parts('ㄱ', 'ㅏ'), [['initial', 'ㄱ'], ['medial', 'ㅏ']]);
+        assert.deepEqual(rects('ㄱ', 'ㅏ'), [[0, 0, 55, 100], [55, 0, 45, 100]]);
+    });
+
+    test('puts a horizontal vowel under the initial', () => {
+        assert.deepEqual(rects('ㄱ', 'ㅗ'), [[0, 0, 100, 55], [0, 55, 100, 45]]);
+    });
+
+    test('gives the bottom band to the 받침', () => {
+        assert.deepEqual(parts('ㅎ', 'ㅏ', 'ㄴ'), [['initial', 'ㅎ'], ['medial', 'ㅏ'], ['final', 'ㄴ']]);
+        assert.deepEqual(rects('ㅎ', 'ㅏ', 'ㄴ')[2], [0, 62, 100, 38]);
+        assert.deepEqual(rects('ㄱ', 'ㅜ', 'ㄱ')[2], [0, 62, 100, 38]);
+    });
+
+    test('splits a vowel made of side-by-side strokes within its slot', () => {
+        assert.deepEqual(parts('ㄱ', 'ㅐ'), [['initial', 'ㄱ'], ['medial', 'ㅏ'], ['medial', 'ㅣ']]);
+        assert.deepEqual(rects('ㄱ', 'ㅐ').slice(1), [[55, 0, 22.5, 100], [77.5, 0, 22.5, 100]]);
+    });
+
+    test('wraps a combined vowel below and to the right', () => {
+        assert.deepEqual(parts('ㅇ', 'ㅘ', 'ㅇ'), [['initial', 'ㅇ'], ['medial', 'ㅗ'], ['medial', 'ㅏ'], ['final', 'ㅇ']]);
+        assert.deepEqual(rects('ㅇ', 'ㅘ', 'ㅇ'), [[0, 0, 62, 36], [0, 36, 62, 26], [62, 0, 38, 62], [0, 62, 100, 38]]);
+        assert.deepEqual(parts('ㄱ', 'ㅢ'), [['initial', 'ㄱ'], ['medial', 'ㅡ'], ['medial', 'ㅣ']]);
+    });
+
+    test('keeps a double 받침 in one box', () => {
+        assert.deepEqual(parts('ㄷ', 'ㅏ', 'ㄺ').pop(), ['final', 'ㄺ']);
+    });
+
+    test('every box stays inside the block without overlapping another', () => {
+        const finals = [null, 'ㄴ'];
+        app.run('hangulData.vowels').forEach(({ char }) => {
+            finals.forEach(final => {
+                const boxes = rects('ㅇ', char, final);
+                boxes.forEach(([left, top, width, height], i) => {
+                    assert.ok(left >= 0 && top >= 0 && left + width <= 100 && top + height <= 100, `${char} ${final} box ${i}`);
+                    boxes.slice(i + 1).forEach(other => {
+                        assert.ok(!overlaps(boxes[i], other), `${char} ${final} boxes overlap`);
+                    });
+                });
+            });
+        });
+    });
+
+    test('returns null for an unknown vowel', () => {
+        assert.equal(app.getBlockLayout('ㄱ', 'x', null), null);
+        assert.equal(app.renderBlockDiagram('ㄱ', 'x'), '');
+    });
+});
+
+describe('getSixSquareCell', () => {
+    test('matches the vowel position and whether there is a 받침', () => {
+        const label = (vowel, final) => app.getSixSquareCell(vowel, final).label;
+        assert.equal(label('ㅏ', null), 'A1');
+        assert.equal(label('ㅗ', null), 'A2');
+        assert.equal(label('ㅘ', null), 'A3');
+        assert.equal(label('ㅏ', 'ㄴ'), 'B1');
+        assert.equal(label('ㅜ', 'ㄱ'), 'B2');
+        assert.equal(label('ㅘ', 'ㅇ'), 'B3');
+    });
+
+    test('returns null for an unknown vowel', () => {
+        assert.equal(app.getSixSquareCell('x', null), null);
+    });
+});
+
+describe('renderTypeIndicator', () => {
+    test('shows the 6-square label with the shape name', () => {
+        const html = app.renderTypeIndicator('ㅘ', 'ㅇ');
+        assert.match(html, /class="type-indicator bottom-right"/);
+        assert.match(html, /<strong>B3<\/strong>/);
+        assert.ok(html.includes(app.t('builder.combined')));
+    });
+});
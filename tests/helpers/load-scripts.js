@@ -0,0 +1,76 @@
+/**
+ * Hangul Explorer - Test Loader
+ * Runs the app's classic scripts in a sandbox with just enough browser to evaluate them,
+ * so the pure parts (pronunciation, romanization, scheduling, IME, block layout) can be tested in Node
+ *
+ * Run every test from the repository root:
+ *
+ *     node --test tests/
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const ROOT = path.join(__dirname, '..', '..');
+
+function createStorage() {
+    const items = new Map();
+    return {
+        getItem: key => (items.has(key) ? items.get(key) : null),
+        setItem: (key, value) => items.set(key, String(value)),
+        removeItem: key => items.delete(key),
+        clear: () => items.clear()
+    };
+}
+
+// Nothing is rendered in tests: lookups find no elements and listeners are never fired
+function createDocument() {
+    return {
+        addEventListener() {},
+        removeEventListener() {},
+        getElementById: () => null,
+        querySelector: () => null,
+        querySelectorAll: () => [],
+        createElement: () => ({ style: {}, classList: { add() {}, remove() {}, toggle() {} }, addEventListener() {} }),
+        documentElement: { lang: 'en' },
+        body: { classList: { add() {}, remove() {}, toggle() {}, contains: () => false }, appendChild() {} }
+    };
+}
+
+// loadScripts('hangul', 'word-data', 'pronunciation') loads js/<name>.js in that order (same order as index.html)
+// and fills in hangulData and the English catalog the way the page does on startup.
+// Top-level functions are properties of the returned context; use run() for const/let bindings.
+// Arrays and objects it returns belong to the sandbox, so copy them ([...arr], { ...obj }) before deepEqual.
+function loadScripts(...names) {
+    const context = vm.createContext({
+        console,
+        setTimeout,
+        clearTimeout,
+        localStorage: createStorage(),
+        document: createDocument(),
+        navigator: { language: 'en', onLine: true },
+        location: { hash: '' },
+        history: { replaceState() {}, pushState() {} },
+        addEventListener() {},
+        removeEventListener() {}
+    });
+    context.window = context;
+
+    const run = code => vm.runInContext(code, context);
+    ['i18n', ...names.filter(name => name !== 'i18n')].forEach(name => {
+        const file = path.join(ROOT, 'js', name + '.js');
+        vm.runInContext(fs.readFileSync(file, 'utf8'), context, { filename: file });
+    });
+
+    context.testFixtures = {
+        data: JSON.parse(fs.readFileSync(path.join(ROOT, 'data', 'hangul-data.json'), 'utf8')),
+        catalog: JSON.parse(fs.readFileSync(path.join(ROOT, 'data', 'i18n', 'en.json'), 'utf8'))
+    };
+    run('hangulData = testFixtures.data; messages = fallbackMessages = testFixtures.catalog;');
+
+    context.run = run;
+    return context;
+}
+
+module.exports = { loadScripts };
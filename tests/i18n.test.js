@@ -0,0 +1,41 @@
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts } = require('./helpers/load-scripts');
+
+const app = loadScripts();
+
+describe('loadLocale', () => {
+    test('uses a saved locale', () => {
+        app.localStorage.setItem('hangul-locale', 'ja');
+        assert.equal(app.loadLocale(), 'ja');
+    });
+
+    test('ignores inherited object keys in storage and the browser language', () => {
+        ['constructor', '__proto__', 'toString'].forEach(value => {
+            app.localStorage.setItem('hangul-locale', value);
+            assert.equal(app.loadLocale(), 'en');
+        });
+        app.localStorage.removeItem('hangul-locale');
+        app.navigator.language = 'constructor';
+        assert.equal(app.loadLocale(), 'en');
+    });
+
+    test('falls back to the browser language, then English', () => {
+        app.localStorage.removeItem('hangul-locale');
+        app.navigator.language = 'es-MX';
+        assert.equal(app.loadLocale(), 'es');
+        app.navigator.language = 'fr-FR';
+        assert.equal(app.loadLocale(), 'en');
+    });
+});
+
+describe('t', () => {
+    test('fills placeholders and leaves unknown ones alone', () => {
+        assert.equal(app.t('stroke.right', { stroke: 1, next: 2 }), 'Stroke 1 is right. Now stroke 2.');
+        assert.equal(app.t('stroke.right', { stroke: 1 }), 'Stroke 1 is right. Now stroke {next}.');
+    });
+
+    test('falls back to the key for a missing message', () => {
+        assert.equal(app.t('no.such.key'), 'no.such.key');
+    });
+});
@@ -0,0 +1,90 @@
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts } = require('./helpers/load-scripts');
+
+const app = loadScripts('hangul', 'word-data', 'romanization', 'pronunciation');
+
+function firedRules(korean) {
+    return Array.from(app.getPronunciation(korean).rules, rule => rule.id);
+}
+
+describe('getPronunciation', () => {
+    // One word per rule, with the spoken form a learner should hear
+    const examples = [
+        ['palatalization', '같이', '가치'],
+        ['palatalization', '굳이', '구지'],
+        ['hDeletion', '좋아', '조아'],
+        ['aspiration', '좋다', '조타'],
+        ['aspiration', '놓다', '노타'],
+        ['liaison', '음악', '으막'],
+        ['liaison', '한국어', '한구거'],
+        ['simplification', '값', '갑'],
+        ['neutralization', '꽃', '꼳'],
+        ['neutralization', '부엌', '부억'],
+        ['tensification', '학교', '학꾜'],
+        ['tensification', '잡지', '잡찌'],
+        ['nasalization', '국물', '궁물'],
+        ['nasalization', '입니다', '임니다'],
+        ['nasalization', '종로', '종노'],
+        ['liquidization', '신라', '실라'],
+        ['liquidization', '설날', '설랄']
+    ];
+
+    examples.forEach(([rule, written, spoken]) => {
+        test(`${rule}: ${written} -> ${spoken}`, () => {
+            const pron = app.getPronunciation(written);
+            assert.equal(pron.written, written);
+            assert.equal(pron.spoken, spoken);
+            assert.ok(firedRules(written).includes(rule), `expected ${rule}, got ${firedRules(written)}`);
+        });
+    });
+
+    test('rules chain across one boundary', () => {
+        assert.equal(app.getPronunciation('없어요').spoken, '업써요');
+        assert.deepEqual(firedRules('없어요').sort(), ['liaison', 'tensification']);
+        assert.equal(app.getPronunciation('많이').spoken, '마니');
+        assert.deepEqual(firedRules('많이').sort(), ['hDeletion', 'liaison']);
+        assert.equal(app.getPronunciation('독립').spoken, '동닙');
+        assert.equal(app.getPronunciation('앉다').spoken, '안따');
+    });
+
+    test('words that are said as written fire no rules', () => {
+        const pron = app.getPronunciation('나무');
+        assert.equal(pron.spoken, '나무');
+        assert.equal(pron.rules.length, 0);
+        assert.ok(pron.changed.every(changed => !changed));
+    });
+
+    test('marks only the syllables that changed', () => {
+        assert.deepEqual([...app.getPronunciation('학교').changed], [false, true]);
+    });
+
+    test('keeps spaces and applies no rule across them', () => {
+        const pron = app.getPronunciation('옷 입어');
+        assert.equal(pron.spoken, '옫 이버');
+        assert.equal(app.getPronunciation('밥 먹어').spoken, '밥 머거');
+        assert.equal(app.getPronunciation('안녕 하세요').spoken, '안녕 하세요');
+        assert.deepEqual(firedRules('안녕 하세요'), []);
+    });
+
+    test('every fired rule has a label and a hint in the catalog', () => {
+        const rules = app.run('PRONUNCIATION_RULES');
+        Object.values(rules).forEach(rule => {
+            assert.ok(app.hasMessage(rule.label), rule.label);
+            assert.ok(app.hasMessage(rule.description), rule.description);
+        });
+    });
+});
+
+describe('renderPronunciation', () => {
+    test('renders nothing when the word is said as written', () => {
+        assert.equal(app.renderPronunciation(app.getPronunciation('나무')), '');
+    });
+
+    test('lists each fired rule once', () => {
+        const html = app.renderPronunciation(app.getPronunciation('없어요'));
+        assert.match(html, /rule-tensification/);
+        assert.match(html, /rule-liaison/);
+        assert.equal(html.match(/class="pron-rule /g).length, 2);
+    });
+});
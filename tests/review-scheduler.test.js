@@ -0,0 +1,109 @@
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts } = require('./helpers/load-scripts');
+
+const app = loadScripts('review-scheduler');
+
+// Grade a new card through a sequence of grades, returning every intermediate entry
+function gradeSequence(grades) {
+    const entries = [];
+    grades.reduce((entry, grade) => {
+        const next = app.scheduleReview(entry, grade);
+        entries.push(next);
+        return next;
+    }, null);
+    return entries;
+}
+
+describe('scheduleReview', () => {
+    test('good answers step through 1 day, 6 days, then interval x ease', () => {
+        const intervals = gradeSequence(['good', 'good', 'good', 'good']).map(entry => entry.interval);
+        assert.deepEqual(intervals, [1, 6, 15, 38]);
+    });
+
+    test('good keeps the ease, hard lowers it and easy raises it', () => {
+        assert.equal(app.scheduleReview(null, 'good').ease, 2.5);
+        assert.equal(app.scheduleReview(null, 'hard').ease, 2.36);
+        assert.equal(app.scheduleReview(null, 'easy').ease, 2.6);
+    });
+
+    test('hard shortens the interval and easy lengthens it', () => {
+        const [, second] = gradeSequence(['good', 'good']);
+        assert.equal(app.scheduleReview(second, 'hard').interval, 12); // round(15 * 0.8)
+        assert.equal(app.scheduleReview(second, 'easy').interval, 21); // round(15 * 1.3) + 1
+        assert.equal(app.scheduleReview(null, 'hard').interval, 1);
+        assert.equal(app.scheduleReview(null, 'easy').interval, 2);
+    });
+
+    test('again is a lapse: the card starts over and is due today', () => {
+        const [, , third] = gradeSequence(['good', 'good', 'good']);
+        const lapsed = app.scheduleReview(third, 'again');
+        assert.equal(lapsed.interval, 0);
+        assert.equal(lapsed.reps, 0);
+        assert.equal(lapsed.lapses, 1);
+        assert.equal(lapsed.ease, 1.96);
+        assert.equal(lapsed.due, app.getToday());
+        assert.equal(app.scheduleReview(lapsed, 'good').interval, 1);
+    });
+
+    test('ease never drops below 1.3', () => {
+        const entries = gradeSequence(Array(10).fill('again'));
+        assert.equal(entries[entries.length - 1].ease, 1.3);
+        assert.equal(entries[entries.length - 1].lapses, 10);
+    });
+
+    test('due is the interval counted from today', () => {
+        const entry = app.scheduleReview(null, 'easy');
+        assert.equal(entry.lastReviewed, app.getToday());
+        assert.equal(entry.due, app.addDays(app.getToday(), 2));
+    });
+
+    test('does not change the entry it is given', () => {
+        const [first] = gradeSequence(['good']);
+        const before = { ...first };
+        app.scheduleReview(first, 'again');
+        assert.deepEqual({ ...first }, before);
+    });
+});
+
+describe('addDays', () => {
+    test('rolls over months, leap days and years', () => {
+        assert.equal(app.addDays('2024-02-28', 1), '2024-02-29');
+        assert.equal(app.addDays('2023-02-28', 1), '2023-03-01');
+        assert.equal(app.addDays('2024-12-31', 1), '2025-01-01');
+        assert.equal(app.addDays('2024-03-10', 0), '2024-03-10');
+        assert.equal(app.addDays('2024-01-31', 30), '2024-03-01');
+    });
+});
+
+describe('gradeWord', () => {
+    test('saves the schedule under the word and its gloss', () => {
+        const tea = { korean: '차', english: 'tea' };
+        const car = { korean: '차', english: 'car' };
+        app.gradeWord(tea, 'good');
+        app.gradeWord(car, 'again');
+
+        const saved = JSON.parse(app.localStorage.getItem('hangul-reviews'));
+        assert.equal(saved['차|tea'].interval, 1);
+        assert.equal(saved['차|car'].lapses, 1);
+    });
+});
+
+describe('advanceReviewQueue', () => {
+    test('graded cards leave the queue and again sends a card to the back', () => {
+        app.run("reviewQueue = ['a', 'b', 'c'];");
+        app.advanceReviewQueue(0, 'again');
+        assert.deepEqual([...app.run('reviewQueue')], ['b', 'c', 'a']);
+        app.advanceReviewQueue(0, 'good');
+        assert.deepEqual([...app.run('reviewQueue')], ['c', 'a']);
+    });
+});
+
+describe('formatInterval', () => {
+    test('uses days, then months, then years', () => {
+        assert.equal(app.formatInterval(0), '&lt;1d');
+        assert.equal(app.formatInterval(6), '6d');
+        assert.equal(app.formatInterval(60), '2mo');
+        assert.equal(app.formatInterval(400), '1.1y');
+    });
+});
@@ -0,0 +1,86 @@
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts } = require('./helpers/load-scripts');
+
+const app = loadScripts('hangul', 'word-data', 'romanization', 'pronunciation');
+
+function romanize(korean, system) {
+    return app.romanizePronunciation(app.getPronunciation(korean), system);
+}
+
+// [written, Revised Romanization, McCune-Reischauer, Yale]
+const EXAMPLES = [
+    ['김치', 'gim-chi', "kimch'i", 'kimchi'],
+    ['한국어', 'han-gu-geo', "han'gugŏ", 'hankwuke'],
+    ['감사합니다', 'gam-sa-ham-ni-da', 'kamsahamnida', 'kamsahapnita'],
+    ['학교', 'hak-gyo', 'hakkyo', 'hakkyo'],
+    ['값이', 'gap-si', 'kapssi', 'kapsi'],
+    ['없어요', 'eop-seo-yo', 'ŏpssŏyo', 'epseyo'],
+    ['앉다', 'an-da', 'antta', 'ancta'],
+    ['신라', 'sil-la', 'shilla', 'sinla'],
+    ['빨리', 'ppal-li', 'ppalli', 'ppalli'],
+    ['종로', 'jong-no', 'chongno', 'conglo'],
+    ['같이', 'ga-chi', "kach'i", 'kathi'],
+    ['좋다', 'jo-ta', "chot'a", 'cohta'],
+    ['부엌', 'bu-eok', 'puŏk', 'puekh'],
+    ['의사', 'ui-sa', 'ŭisa', 'uysa'],
+    ['쉬워요', 'swi-wo-yo', 'shwiwŏyo', 'swiweyo']
+];
+
+describe('romanizePronunciation', () => {
+    EXAMPLES.forEach(([korean, rr, mr, yale]) => {
+        test(korean, () => {
+            assert.equal(romanize(korean, 'rr'), rr);
+            assert.equal(romanize(korean, 'mr'), mr);
+            assert.equal(romanize(korean, 'yale'), yale);
+        });
+    });
+
+    test('Revised Romanization follows the spoken form', () => {
+        assert.equal(romanize('독립', 'rr'), 'dong-nip');
+    });
+
+    test('Yale follows the written form', () => {
+        assert.equal(romanize('독립', 'yale'), 'toklip');
+        assert.equal(romanize('읽다', 'yale'), 'ilkta');
+    });
+
+    test('McCune-Reischauer keeps a tense initial that came from liaison', () => {
+        assert.equal(romanize('값이', 'mr'), 'kapssi');
+        assert.equal(romanize('학교', 'mr'), 'hakkyo');
+    });
+
+    test('keeps spaces between words', () => {
+        assert.equal(romanize('안녕 하세요', 'rr'), 'an-nyeong ha-se-yo');
+        assert.equal(romanize('안녕 하세요', 'mr'), 'annyŏng haseyo');
+        assert.equal(romanize('물 냉면', 'mr'), 'mul naengmyŏn');
+        assert.equal(romanize('물 냉면', 'yale'), 'mul nayngmyen');
+    });
+
+    test('uses the saved system by default', () => {
+        assert.equal(app.run('romanizationSettings.system'), 'rr');
+        assert.equal(app.romanizePronunciation(app.getPronunciation('학교')), 'hak-gyo');
+    });
+});
+
+describe('romanizeJamo', () => {
+    test('romanizes a letter in each system', () => {
+        assert.equal(app.romanizeJamo('ㄱ', 'rr'), 'g/k');
+        assert.equal(app.romanizeJamo('ㄱ', 'mr'), 'k/g');
+        assert.equal(app.romanizeJamo('ㄱ', 'yale'), 'k');
+        assert.equal(app.romanizeJamo('ㅓ', 'rr'), 'eo');
+        assert.equal(app.romanizeJamo('ㅓ', 'mr'), 'ŏ');
+        assert.equal(app.romanizeJamo('ㅓ', 'yale'), 'e');
+        assert.equal(app.romanizeJamo('ㅢ', 'yale'), 'uy');
+    });
+});
+
+describe('romanizeFinal', () => {
+    test('romanizes a 받침 as it sounds, except in Yale', () => {
+        assert.equal(app.romanizeFinal('ㅅ', 'rr'), 't');
+        assert.equal(app.romanizeFinal('ㅅ', 'mr'), 't');
+        assert.equal(app.romanizeFinal('ㅅ', 'yale'), 's');
+        assert.equal(app.romanizeFinal('ㅎ', 'yale'), 'h');
+        assert.equal(app.romanizeFinal('ㄹ', 'rr'), 'l');
+    });
+});
@@ -0,0 +1,81 @@
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts } = require('./helpers/load-scripts');
+
+const app = loadScripts('hangul', 'word-data', 'pronunciation', 'typing-trainer');
+
+function type(keys) {
+    return { ...app.typeKeys(Array.from(keys)) };
+}
+
+describe('typeKeys', () => {
+    test('builds a block from initial, vowel and final', () => {
+        assert.deepEqual(type('ㅎㅏㄴ'), { text: '한', composing: '한' });
+        assert.deepEqual(type('ㅎㅏㄴㄱㅜㄱ'), { text: '한국', composing: '국' });
+    });
+
+    test('combines two vowel keys into a compound vowel', () => {
+        assert.equal(type('ㅇㅜㅓㄴ').text, '원');
+        assert.equal(type('ㅇㅡㅣ').text, '의');
+        assert.equal(type('ㅗㅏ').text, 'ㅘ');
+    });
+
+    test('combines two final consonants into a cluster', () => {
+        assert.equal(type('ㄱㅏㅂㅅ').text, '값');
+        assert.equal(type('ㅇㅏㄴㅈㄷㅏ').text, '앉다');
+    });
+
+    test('a vowel after a final takes it as the next initial', () => {
+        assert.equal(type('ㄷㅏㄹ').text, '달');
+        assert.equal(type('ㄷㅏㄹㅇㅣ').text, '달이');
+        assert.equal(type('ㄱㅏㄴㅏ').text, '가나');
+    });
+
+    test('a vowel after a cluster takes only its second half', () => {
+        assert.deepEqual(type('ㄷㅏㄹㄱㅣ'), { text: '달기', composing: '기' });
+        assert.equal(type('ㄱㅏㅂㅅㅣ').text, '갑시');
+    });
+
+    test('consonants that cannot be a final start a new block', () => {
+        assert.equal(type('ㄲㅏㄸ').text, '까ㄸ');
+        assert.equal(type('ㄱㄱ').text, 'ㄱㄱ');
+    });
+
+    test('vowels that do not combine stand alone', () => {
+        assert.equal(type('ㅏㅏ').text, 'ㅏㅏ');
+    });
+
+    test('space commits the block, so nothing moves across it', () => {
+        assert.deepEqual(type('ㄷㅏㄹㄱ ㅇㅣ'), { text: '닭 이', composing: '이' });
+    });
+
+    test('an empty sequence types nothing', () => {
+        assert.deepEqual(type(''), { text: '', composing: '' });
+    });
+});
+
+describe('getKeystrokes', () => {
+    test('splits compound vowels and clusters into their keys', () => {
+        assert.deepEqual([...app.getKeystrokes('닭')], ['ㄷ', 'ㅏ', 'ㄹ', 'ㄱ']);
+        assert.deepEqual([...app.getKeystrokes('값')], ['ㄱ', 'ㅏ', 'ㅂ', 'ㅅ']);
+        assert.deepEqual([...app.getKeystrokes('왜')], ['ㅇ', 'ㅗ', 'ㅐ']);
+    });
+
+    test('typing the keystrokes of a word gives the word back', () => {
+        ['왜 괜찮아', '읽어요', '닭고기', '의사', '앉아요', '뭐예요'].forEach(word => {
+            assert.equal(app.typeKeys(app.getKeystrokes(word)).text, word);
+        });
+    });
+});
+
+describe('findKeyForJamo', () => {
+    test('finds the key and whether Shift is needed', () => {
+        assert.deepEqual({ ...app.findKeyForJamo('ㄱ') }, { code: 'KeyR', shift: false });
+        assert.deepEqual({ ...app.findKeyForJamo('ㄲ') }, { code: 'KeyR', shift: true });
+        assert.deepEqual({ ...app.findKeyForJamo('ㅖ') }, { code: 'KeyP', shift: true });
+    });
+
+    test('compound vowels have no key of their own', () => {
+        assert.equal(app.findKeyForJamo('ㅘ'), null);
+    });
+});